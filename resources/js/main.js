@@ -6,14 +6,47 @@ class MarkdownBuddy {
         this.currentPath = '';
         this.tutorialsDir = '';
         this.navigationData = {};
-        this.navigationHistory = []; // Track navigation history for back button
-        this.isNavigatingBack = false; // Flag to prevent history tracking during back navigation
+        this.navigationHistory = []; // Pages behind the current one, oldest first: [{ path, title, type, anchor, scrollY }]
+        this.forwardHistory = []; // Pages left with Back, the next one last
+        this.currentAnchor = null; // Last heading jumped to on the open page: { path, anchor }
+        this.isNavigatingBack = false; // Set while moving through history so the move itself isn't recorded
+        this.tabs = [this.createTab()]; // Open tabs in strip order: [{ id, entry, back, forward }], see captureActiveTab()
+        this.activeTabId = this.tabs[0].id;
+        this.closedTabs = []; // Recently closed tabs for reopening: [{ tab, index }]
+        this.splitView = null; // Second document next to the main view: { path, title, syncScroll, imageUrls }
+        this.splitViewRequest = 0; // Only the latest document opened in the split view is shown
+        this.libraryWatchers = new Map(); // Filesystem watcher id -> { rootPath, watchedPath }
+        this.pendingFileChanges = []; // Debounced watcher events waiting to be applied
+        this.ignoreRules = new Map(); // Scanned directory path -> .buddyignore rules in effect there
+        this.externalContents = new Map(); // Dropped files without a filesystem path -> markdown text
+        this.documentImageUrls = []; // Object URLs for images of the open document, revoked on the next render
+        this.linkReport = null; // Last library link check: { problems, checked, finishedAt }
+        this.searchWorker = null; // Full-text index and queries run in js/search-worker.js, see startSearchWorker()
+        this.searchWorkerFailed = false;
+        this.searchWorkerRequests = new Map(); // Message id -> { resolve, reject } of calls waiting on the worker
+        this.searchWorkerNextId = 1;
+        this.searchWorkerTutorials = null; // Tutorial list the worker last received
+        this.latestSearchRequests = {}; // Channel ('dropdown' or 'page') -> latest request id; older results are thrown away
+        this.searchPage = null; // Full results page: { query, sort, categories, results, total, ... }
+        this.readingProgress = null; // path -> { position, percent, completed, updatedAt }, loaded on first use
+        this.progressPath = null; // Tutorial whose scrolling is being tracked
+        this.browsingHistory = null; // Visits across sessions, newest first: [{ path, title, type, visitedAt }], loaded on first use
+        this.historyFilter = '';
+        this.findState = { query: '', caseSensitive: false, wholeWord: false, regex: false, matches: [], current: -1, container: null, suspended: false };
+        this.contentIndexBuild = null; // Promise of the running index build
+        this.contentIndexRebuildQueued = false;
+        this.contentIndexCacheLoaded = false; // The on-disk cache is only read on the first build
+        this.linkCheckRunning = false;
         this.settings = {
             alwaysOnTop: false,
             theme: 'light',
             zoom: 1,
             sidebarWidth: null,
-            sidebarState: 'visible' // Default to visible
+            sidebarState: 'visible', // Default to visible
+            libraryRoots: [], // Extra absolute folders shown next to resources/tutorials
+            favorites: [], // Favorite groups: [{ id, name, collapsed, items: [{ id, kind, path, title, anchor }] }]
+            restoreSession: false, // Reopen the last tutorial or folder at startup
+            splitOrientation: 'vertical' // Split view panes side by side ('vertical') or stacked ('horizontal')
         };
     this.isQuitting = false;
         this.init();
@@ -236,6 +269,7 @@ class MarkdownBuddy {
                 icon: "/resources/icons/trayIcon.png",
                 menuItems: [
                     {id: "HOME", text: "Go to Home"},
+                    {id: "OPEN_FILE", text: "Open File…"},
                     {id: "REFRESH", text: "Refresh Tutorials"},
                     {id: "SEP1", text: "-"},
                     {id: "ALWAYS_ON_TOP", text: this.settings.alwaysOnTop ? "✓ Always on Top" : "Always on Top"},
@@ -280,23 +314,23 @@ class MarkdownBuddy {
         // Set up basic event listeners
         this.setupDOMEventListeners();
         
-        // Try to load real navigation even in demo mode
+        // Without Neutralino the library comes from the generated manifest
         this.buildNavigationFromFileSystem().catch(() => {
-            // If that fails, load demo navigation
-            this.loadDemoNavigation();
+            this.showNavigationUnavailable();
         });
         
         // Show welcome content
         this.showWelcomeContent();
         
         // Initialize previous button state
-        this.updatePreviousButton();
+        this.updateHistoryButtons();
     }
 
     setupEventListeners() {
         // Neutralino event listeners
         Neutralino.events.on("trayMenuItemClicked", (event) => this.onTrayMenuItemClicked(event));
         Neutralino.events.on("windowClose", () => this.onWindowClose());
+        Neutralino.events.on("watchFile", (event) => this.onWatchFile(event));
         
         // DOM event listeners
         document.addEventListener('DOMContentLoaded', () => {
@@ -351,6 +385,9 @@ class MarkdownBuddy {
         // Setup Search functionality
         this.setupSearchFunctionality();
 
+        // Setup the in-document find bar
+        this.setupFindBar();
+
         // Setup Sidebar Toggle
         const sidebarToggle = document.getElementById('sidebarToggle');
         if (sidebarToggle) {
@@ -369,12 +406,15 @@ class MarkdownBuddy {
 
         // Toolbar actions
         const byId = (id) => document.getElementById(id);
-        byId('appPreviousBtn')?.addEventListener('click', () => this.goBack());
+        this.setupHistoryButtons();
         byId('appHomeBtn')?.addEventListener('click', () => this.showWelcomeContent());
     byId('appCollapseAllBtn')?.addEventListener('click', (e) => this._withBusyIcon(e.currentTarget, 'fa-compress-arrows-alt', () => this.collapseAllFolders()));
     byId('appExpandAllBtn')?.addEventListener('click', (e) => this._withBusyIcon(e.currentTarget, 'fa-expand-arrows-alt', () => this.expandAllFolders()));
     byId('appRefreshBtn')?.addEventListener('click', (e) => this._withBusyIcon(e.currentTarget, 'fa-sync-alt', () => this.refreshNavigation()));
+        byId('appAddLibraryBtn')?.addEventListener('click', () => this.addLibraryRoot());
+        byId('appOpenFileBtn')?.addEventListener('click', () => this.openExternalFile());
         byId('appHelpBtn')?.addEventListener('click', () => this.showKeyboardHelp());
+        byId('appSplitBtn')?.addEventListener('click', () => this.toggleSplitView());
         byId('appAlwaysOnTopBtn')?.addEventListener('click', () => this.toggleAlwaysOnTop());
         byId('appThemeToggleBtn')?.addEventListener('click', () => this.toggleTheme());
         byId('appZoomInBtn')?.addEventListener('click', () => this.changeZoom(0.1));
@@ -383,6 +423,18 @@ class MarkdownBuddy {
         // Setup scroll to top button
         this.setupScrollToTop();
 
+        // Track how far each tutorial has been read
+        this.setupReadingProgress();
+        
+        // Remember the open page for the next launch
+        this.setupSessionTracking();
+        
+        // Tab strip above the content and opening links in new tabs
+        this.setupTabs();
+        
+        // Second document pane
+        this.setupSplitView();
+
         // Observe sidebar width changes to keep CSS var in sync and persist
         const sidebar = document.getElementById('sidebar');
         if (sidebar && !this._sidebarResizeObserver) {
@@ -436,6 +488,20 @@ class MarkdownBuddy {
                 return;
             }
 
+            // Reopen the last closed tab
+            if ((event.metaKey || event.ctrlKey) && event.shiftKey && (event.key === 't' || event.key === 'T')) {
+                event.preventDefault();
+                this.reopenClosedTab();
+                return;
+            }
+
+            // Switch tabs
+            if (event.ctrlKey && event.key === 'Tab') {
+                event.preventDefault();
+                this.cycleTab(event.shiftKey ? -1 : 1);
+                return;
+            }
+
             // Always On Top shortcut
             if ((event.metaKey || event.ctrlKey) && event.key === 't') {
                 event.preventDefault();
@@ -450,13 +516,54 @@ class MarkdownBuddy {
                 return;
             }
 
-            // Quick search shortcut
+            // Find in the open document
             if ((event.metaKey || event.ctrlKey) && event.key === 'f') {
+                event.preventDefault();
+                this.openFindBar();
+                return;
+            }
+
+            // Favorites shortcut: the open tutorial or folder, with Shift the heading in view
+            if ((event.metaKey || event.ctrlKey) && (event.key === 'd' || event.key === 'D')) {
+                event.preventDefault();
+                this.toggleFavoriteForCurrentPage(event.shiftKey);
+                return;
+            }
+
+            // Split view shortcut
+            if ((event.metaKey || event.ctrlKey) && event.key === '\\') {
+                event.preventDefault();
+                this.toggleSplitView();
+                return;
+            }
+
+            // Quick search shortcut
+            if ((event.metaKey || event.ctrlKey) && event.key === 'k') {
                 event.preventDefault();
                 this.focusSearch();
                 return;
             }
 
+            // Close the find bar from anywhere in the page
+            if (event.key === 'Escape' && !document.getElementById('findBar')?.hidden && !event.target.matches('input, textarea, select')) {
+                this.closeFindBar();
+                return;
+            }
+
+            // Open file shortcut
+            if ((event.metaKey || event.ctrlKey) && event.key === 'o') {
+                event.preventDefault();
+                this.openExternalFile();
+                return;
+            }
+
+            // Browsing history shortcut
+            if ((event.metaKey || event.ctrlKey) && event.shiftKey && (event.key === 'h' || event.key === 'H')) {
+                event.preventDefault();
+                this.showHistoryPage();
+                return;
+            }
+
             // Home shortcut
             if ((event.metaKey || event.ctrlKey) && event.key === 'h') {
                 event.preventDefault();
@@ -478,6 +585,13 @@ class MarkdownBuddy {
                 return;
             }
 
+            // Forward shortcut (Alt/Option + Right Arrow)
+            if (event.altKey && event.key === 'ArrowRight') {
+                event.preventDefault();
+                this.goForward();
+                return;
+            }
+
             // Refresh navigation shortcut
             if ((event.metaKey || event.ctrlKey) && event.key === 'r') {
                 event.preventDefault();
@@ -492,10 +606,14 @@ class MarkdownBuddy {
                 return;
             }
 
-            // Also map Cmd+W (close window) to quit, since it's a single-window app
+            // Cmd+W closes the tab; on the last one it quits, since it's a single-window app
             if ((event.metaKey || event.ctrlKey) && (event.key === 'w' || event.key === 'W')) {
                 event.preventDefault();
-                this.quitApplication();
+                if (this.tabs.length > 1) {
+                    this.closeTab(this.activeTabId);
+                } else {
+                    this.quitApplication();
+                }
                 return;
             }
 
@@ -540,13 +658,41 @@ class MarkdownBuddy {
                                 <span>Go to Home</span>
                             </div>
                             <div class="help-shortcut">
-                                <kbd>Ctrl/Cmd</kbd> + <kbd>F</kbd>
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>Shift</kbd> + <kbd>H</kbd>
+                                <span>Browsing History</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>K</kbd>
                                 <span>Focus Search</span>
                             </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>F</kbd>
+                                <span>Find in document</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Enter</kbd> / <kbd>Shift</kbd> + <kbd>Enter</kbd>
+                                <span>Next/previous match while finding</span>
+                            </div>
                             <div class="help-shortcut">
                                 <kbd>Ctrl/Cmd</kbd> + <kbd>R</kbd>
                                 <span>Refresh Navigation</span>
                             </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>O</kbd>
+                                <span>Open Markdown File</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>D</kbd>
+                                <span>Add/remove page in Favorites</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>Shift</kbd> + <kbd>D</kbd>
+                                <span>Add/remove heading in Favorites</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Alt</kbd> + <kbd>←</kbd> / <kbd>→</kbd>
+                                <span>Back/Forward</span>
+                            </div>
                             <div class="help-shortcut">
                                 <kbd>↑</kbd> <kbd>↓</kbd>
                                 <span>Navigate items</span>
@@ -577,6 +723,22 @@ class MarkdownBuddy {
                                 <kbd>Ctrl/Cmd</kbd> + <kbd>T</kbd>
                                 <span>Toggle Always on Top</span>
                             </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>\\</kbd>
+                                <span>Open/close split view</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>W</kbd>
+                                <span>Close tab</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl/Cmd</kbd> + <kbd>Shift</kbd> + <kbd>T</kbd>
+                                <span>Reopen closed tab</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Ctrl</kbd> + <kbd>Tab</kbd>
+                                <span>Next tab (with Shift: previous)</span>
+                            </div>
                             <div class="help-shortcut">
                                 <kbd>Ctrl/Cmd</kbd> + <kbd>Q</kbd>
                                 <span>Quit Application</span>
@@ -603,9 +765,21 @@ class MarkdownBuddy {
                                 <kbd>Double Click</kbd>
                                 <span>Open folder view</span>
                             </div>
+                            <div class="help-shortcut">
+                                <kbd>Right Click</kbd> / <kbd>Hold</kbd>
+                                <span>Back/Forward list on the toolbar buttons</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Middle Click</kbd> / <kbd>Ctrl/Cmd</kbd> + <kbd>Click</kbd>
+                                <span>Open in a new tab</span>
+                            </div>
                             <div class="help-shortcut">
                                 <kbd>Drag</kbd>
-                                <span>Copy path (future: bookmarks)</span>
+                                <span>Add to Favorites, reorder favorites</span>
+                            </div>
+                            <div class="help-shortcut">
+                                <kbd>Drop .md file</kbd>
+                                <span>Open file from disk</span>
                             </div>
                         </div>
                     </div>
@@ -843,6 +1017,15 @@ class MarkdownBuddy {
             if (event.target.closest('.nav-file') || event.target.closest('.nav-folder')) {
                 event.preventDefault();
                 this.showContextMenu(event, event.target.closest('.nav-file, .nav-folder'));
+                return;
+            }
+            
+            // Headings of the open tutorial can be bookmarked
+            const heading = event.target.closest('.tutorial-content .markdown-content :is(h1, h2, h3, h4, h5, h6), #main-content .toc-link');
+            const favorite = heading && this.getHeadingFavorite(heading);
+            if (favorite) {
+                event.preventDefault();
+                this.showHeadingContextMenu(event, favorite);
             }
         });
 
@@ -855,9 +1038,6 @@ class MarkdownBuddy {
     showContextMenu(event, item) {
         this.hideContextMenu(); // Hide any existing menu
 
-        const menu = document.createElement('div');
-        menu.className = 'context-menu';
-        
         const isFolder = item.classList.contains('nav-folder');
         const isExpanded = item.classList.contains('expanded');
 
@@ -879,12 +1059,61 @@ class MarkdownBuddy {
                     this.showFolderContents(path, title);
                 }
             });
+            if (item.dataset.libraryRoot) {
+                menuItems.push({
+                    icon: 'fa-trash',
+                    text: 'Remove from Library',
+                    action: () => this.removeLibraryRoot(item.dataset.libraryRoot)
+                });
+            }
         } else {
             menuItems.push({
                 icon: 'fa-external-link-alt',
                 text: 'Open Tutorial',
                 action: () => item.click()
             });
+            const splitEntry = this.getNavigationEntry(item.dataset.navKey);
+            if (splitEntry) {
+                menuItems.push({
+                    icon: 'fa-columns',
+                    text: 'Open in Split View',
+                    action: () => this.openInSplitView(splitEntry.path || item.dataset.navKey, splitEntry.name)
+                });
+            }
+            if (item.dataset.external) {
+                menuItems.push({
+                    icon: 'fa-times',
+                    text: 'Remove from External',
+                    action: () => this.removeExternalEntry(item.dataset.navKey)
+                });
+            }
+            
+            const entry = this.getNavigationEntry(item.dataset.navKey);
+            const filePath = entry ? entry.path || item.dataset.navKey : null;
+            if (filePath) {
+                const progress = this.getReadingProgress(filePath);
+                menuItems.push({
+                    icon: 'fa-check',
+                    text: progress.completed ? 'Mark as Not Completed' : 'Mark as Completed',
+                    action: () => this.setTutorialCompleted(filePath, !progress.completed)
+                });
+                if (progress.updatedAt) {
+                    menuItems.push({
+                        icon: 'fa-undo',
+                        text: 'Reset Reading Progress',
+                        action: () => this.resetReadingProgress(filePath)
+                    });
+                }
+            }
+        }
+
+        const favorite = this.getNavItemFavorite(item);
+        if (favorite) {
+            menuItems.push({
+                icon: 'fa-star',
+                text: this.findFavorite(favorite) ? 'Remove from Favorites' : 'Add to Favorites',
+                action: () => this.toggleFavorite(favorite)
+            });
         }
 
         // Common actions
@@ -897,6 +1126,13 @@ class MarkdownBuddy {
             }
         );
 
+        this.renderContextMenu(event, menuItems);
+    }
+
+    renderContextMenu(event, menuItems) {
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+
         const html = menuItems.map(item => {
             if (item.separator) {
                 return '<div class="context-menu-separator"></div>';
@@ -1036,200 +1272,1043 @@ class MarkdownBuddy {
     }
 
     setupDragAndDrop() {
-        // Basic drag and drop setup for future bookmarking feature
+        // Tutorials, folders and table of contents entries can be dropped on the Favorites pane
         document.addEventListener('dragstart', (event) => {
-            if (event.target.classList.contains('nav-file')) {
-                const path = this.getItemPath(event.target);
-                event.dataTransfer.setData('text/plain', path);
-                event.target.classList.add('dragging');
+            const source = event.target.closest ? event.target : event.target.parentElement;
+            if (!source) return;
+            
+            const favorite = source.matches('.nav-file, .nav-folder')
+                ? this.getNavItemFavorite(source)
+                : source.matches('#main-content .toc-link') ? this.getHeadingFavorite(source) : null;
+            if (favorite) {
+                event.dataTransfer.setData(MarkdownBuddy.FAVORITE_DRAG_TYPE, JSON.stringify(favorite));
+            }
+            if (source.matches('.nav-file, .nav-folder')) {
+                event.stopPropagation();
+                event.dataTransfer.setData('text/plain', this.getItemPath(source));
+                source.classList.add('dragging');
             }
         });
 
         document.addEventListener('dragend', (event) => {
-            event.target.classList.remove('dragging');
+            event.target.classList?.remove('dragging');
         });
-    }
 
-    setupScrollToTop() {
-        const scrollToTopBtn = document.getElementById('scrollToTopBtn');
-        if (!scrollToTopBtn) return;
+        // Markdown files dropped from the OS file manager
+        const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+        
+        document.addEventListener('dragover', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            document.body.classList.add('file-drag-over');
+        });
 
-        let scrollTimeout = null;
-        let isVisible = false;
+        document.addEventListener('dragleave', (event) => {
+            // Only clear once the pointer actually leaves the window
+            if (!event.relatedTarget) {
+                document.body.classList.remove('file-drag-over');
+            }
+        });
+
+        document.addEventListener('drop', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            document.body.classList.remove('file-drag-over');
+            this.handleDroppedFiles(event.dataTransfer);
+        });
+    }
+
+    async handleDroppedFiles(dataTransfer) {
+        // Most webviews expose the real location through a file:// URI list next to the File objects
+        const uriPaths = (dataTransfer.getData('text/uri-list') || '')
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('file://'))
+            .map(uri => {
+                const pathname = this.decodeUriPart(new URL(uri).pathname);
+                return /^\/[A-Za-z]:/.test(pathname) ? pathname.slice(1) : pathname;
+            });
         
-        // Show/hide button based on scroll position
-        const toggleScrollButton = () => {
-            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-            const threshold = 300; // Show button after scrolling 300px
-            const shouldBeVisible = scrollTop > threshold;
+        const files = Array.from(dataTransfer.files || []).filter(file => this.isDocumentFile(file.name));
+        if (files.length === 0) {
+            this.showNotification('Only Markdown, text and notebook files can be opened', true);
+            return;
+        }
+        
+        for (const file of files) {
+            const diskPath = file.path || uriPaths.find(uriPath => this.getPathBaseName(uriPath) === file.name);
             
-            if (shouldBeVisible !== isVisible) {
-                isVisible = shouldBeVisible;
-                if (isVisible) {
-                    scrollToTopBtn.classList.add('visible');
-                } else {
-                    scrollToTopBtn.classList.remove('visible');
-                }
+            if (diskPath && typeof Neutralino !== 'undefined' && Neutralino.filesystem) {
+                await this.openExternalTutorial(this.normalizeLibraryRoot(diskPath));
+            } else {
+                // No usable path (browser mode): render the dropped content directly
+                await this.openExternalTutorial(`external://${file.name}`, await file.text());
             }
-        };
+        }
+    }
 
-        // Throttled scroll handler
-        const throttledScrollHandler = () => {
+    // Reading Progress
+    setupReadingProgress() {
+        if (this._readingProgressTracking) return;
+        this._readingProgressTracking = true;
+        
+        let scrollTimeout = null;
+        window.addEventListener('scroll', () => {
             if (scrollTimeout) return;
-            
             scrollTimeout = setTimeout(() => {
-                toggleScrollButton();
                 scrollTimeout = null;
-            }, 100);
-        };
+                this.trackReadingProgress();
+            }, 150);
+        }, { passive: true });
+        
+        // Last positions must survive closing the window
+        window.addEventListener('beforeunload', () => this.saveReadingProgress());
+    }
 
-        // Smooth scroll to top function  
-        const scrollToTopHandler = () => {
-            this.scrollToTop();
-        };
+    loadReadingProgress() {
+        try {
+            return JSON.parse(localStorage.getItem('readingProgress') || '{}');
+        } catch (error) {
+            console.warn('Failed to load reading progress:', error);
+            return {};
+        }
+    }
 
-        // Event listeners
-        scrollToTopBtn.addEventListener('click', scrollToTopHandler);
-        window.addEventListener('scroll', throttledScrollHandler, { passive: true });
+    saveReadingProgress() {
+        clearTimeout(this._readingProgressSaveTimer);
+        if (!this.readingProgress) return;
         
-        // Initial check
-        toggleScrollButton();
+        try {
+            localStorage.setItem('readingProgress', JSON.stringify(this.readingProgress));
+        } catch (error) {
+            console.warn('Failed to save reading progress:', error);
+        }
     }
 
-    setupSearchFunctionality() {
-        console.log('Setting up search functionality...');
+    scheduleReadingProgressSave() {
+        clearTimeout(this._readingProgressSaveTimer);
+        this._readingProgressSaveTimer = setTimeout(() => this.saveReadingProgress(), 1000);
+    }
+
+    getReadingProgress(path) {
+        if (!this.readingProgress) {
+            this.readingProgress = this.loadReadingProgress();
+        }
+        return this.readingProgress[path] || { position: 0, percent: 0, completed: false };
+    }
+
+    updateReadingProgress(path, changes) {
+        this.getReadingProgress(path);
+        this.readingProgress[path] = { ...this.getReadingProgress(path), ...changes, updatedAt: Date.now() };
+        this.scheduleReadingProgressSave();
+    }
+
+    trackReadingProgress(fromScroll = true) {
+        // Position is where to reopen; percent is the furthest point the reader has seen
+        const path = this.progressPath;
+        const body = document.querySelector('#main-content .tutorial-content .markdown-content');
+        if (!path || !body || this.currentPath !== path) return;
         
-        const searchInput = document.getElementById('tutorialSearch');
-        const searchClear = document.getElementById('searchClear');
-        const searchResults = document.getElementById('searchResults');
+        const rect = body.getBoundingClientRect();
+        const seen = rect.height > 0 ? Math.min(1, Math.max(0, (window.innerHeight - rect.top) / rect.height)) : 1;
+        const previous = this.getReadingProgress(path);
+        // Right after opening, the page may not be laid out enough to honour the restored position yet
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const position = !fromScroll ? previous.position : scrollable > 0 ? Math.min(1, window.pageYOffset / scrollable) : 0;
+        const percent = Math.max(previous.percent, Math.round(seen * 100));
         
-        console.log('Search elements found:', {
-            input: !!searchInput,
-            clear: !!searchClear, 
-            results: !!searchResults
-        });
+        // Reaching the end by scrolling completes the tutorial; opening a short one does not
+        const completes = fromScroll && percent >= 100 && previous.percent < 100 && !previous.completed;
+        if (position !== previous.position || percent !== previous.percent || completes) {
+            this.updateReadingProgress(path, { position, percent, completed: previous.completed || completes });
+        }
         
-        if (!searchInput || !searchClear || !searchResults) {
-            console.error('Search elements not found!');
-            return;
+        this.updateTutorialProgressHeader(seen);
+        if (percent !== previous.percent || completes) {
+            this.updateProgressIndicators(path);
         }
+        if (completes) {
+            this.showNotification(`Completed: ${document.querySelector('.tutorial-title')?.textContent || path}`);
+        }
+    }
 
-        let searchTimeout = null;
-        let allTutorials = [];
-
-        // Build searchable tutorial index
-        const buildTutorialIndex = () => {
-            allTutorials = [];
-            console.log('Building tutorial index...');
-            
-            const collectTutorials = (node, path = '') => {
-                if (node.type === 'file' && node.name.endsWith('.md')) {
-                    allTutorials.push({
-                        name: node.name.replace('.md', ''),
-                        path: path + '/' + node.name,
-                        displayPath: path.replace('tutorials/', '').replace(/\//g, ' › '),
-                        fullPath: node.path || (path + '/' + node.name)
-                    });
-                } else if (node.type === 'folder' && node.children) {
-                    const currentPath = path + (path ? '/' : '') + node.name;
-                    node.children.forEach(child => collectTutorials(child, currentPath));
-                }
-            };
+    restoreReadingPosition(path) {
+        const { position } = this.getReadingProgress(path);
+        if (!position) return;
+        
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        window.scrollTo(0, Math.round(position * Math.max(0, scrollable)));
+    }
 
-            // Try multiple data sources
-            if (this.navigationData && this.navigationData.children) {
-                this.navigationData.children.forEach(child => collectTutorials(child, 'tutorials'));
-                console.log('Tutorials indexed from navigationData:', allTutorials.length);
-            } else {
-                console.log('NavigationData not available, will retry...');
-                // If navigation data isn't ready, we can also try to collect from DOM
-                const navItems = document.querySelectorAll('.nav-file');
-                navItems.forEach(item => {
-                    const text = item.textContent.trim();
-                    if (text && text.endsWith('.md')) {
-                        allTutorials.push({
-                            name: text.replace('.md', ''),
-                            path: text,
-                            displayPath: 'Various',
-                            fullPath: text
-                        });
-                    }
-                });
-                console.log('Tutorials indexed from DOM:', allTutorials.length);
-            }
-        };
+    setTutorialCompleted(path, completed) {
+        this.updateReadingProgress(path, { completed });
+        this.updateProgressIndicators(path);
+        if (path === this.progressPath) {
+            this.updateTutorialProgressHeader();
+        }
+    }
 
-        // Add fallback tutorial data to ensure search has content
-        const addFallbackTutorials = () => {
-            if (allTutorials.length === 0) {
-                console.log('Adding fallback tutorial data...');
-                allTutorials = [
-                    // Google Scripts tutorials
-                    { name: 'Gmail Functions', path: 'resources/tutorials/google scripts/google-apps-script-gmail-functions.md', displayPath: 'Google Scripts › Gmail', fullPath: 'resources/tutorials/google scripts/google-apps-script-gmail-functions.md' },
-                    { name: 'Google Docs', path: 'resources/tutorials/google scripts/google-apps-script-google-docs.md', displayPath: 'Google Scripts › Docs', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-docs.md' },
-                    { name: 'Google Drive', path: 'resources/tutorials/google scripts/google-apps-script-google-drive.md', displayPath: 'Google Scripts › Drive', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-drive.md' },
-                    { name: 'Google Sheets', path: 'resources/tutorials/google scripts/google-apps-script-google-sheets.md', displayPath: 'Google Scripts › Sheets', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-sheets.md' },
-                    { name: 'YouTube API', path: 'resources/tutorials/google scripts/google-apps-script-youtube-api.md', displayPath: 'Google Scripts › YouTube', fullPath: 'resources/tutorials/google scripts/google-apps-script-youtube-api.md' },
-                    // Python tutorials
-                    { name: 'Django', path: 'resources/tutorials/python/pip/django.md', displayPath: 'Python › Django', fullPath: 'resources/tutorials/python/pip/django.md' },
-                    { name: 'Flask', path: 'resources/tutorials/python/pip/flask.md', displayPath: 'Python › Flask', fullPath: 'resources/tutorials/python/pip/flask.md' },
-                    { name: 'FastAPI', path: 'resources/tutorials/python/pip/fastapi.md', displayPath: 'Python › FastAPI', fullPath: 'resources/tutorials/python/pip/fastapi.md' },
-                    { name: 'NumPy', path: 'resources/tutorials/python/pip/numpy.md', displayPath: 'Python › NumPy', fullPath: 'resources/tutorials/python/pip/numpy.md' },
-                    { name: 'Pandas', path: 'resources/tutorials/python/pip/pandas.md', displayPath: 'Python › Pandas', fullPath: 'resources/tutorials/python/pip/pandas.md' },
-                    { name: 'Matplotlib', path: 'resources/tutorials/python/pip/matplotlib.md', displayPath: 'Python › Matplotlib', fullPath: 'resources/tutorials/python/pip/matplotlib.md' },
-                    // JavaScript tutorials
-                    { name: 'Express BUN Redis', path: 'resources/tutorials/javascript/npm/express-bun-redis.md', displayPath: 'JavaScript › Express BUN Redis', fullPath: 'resources/tutorials/javascript/npm/express-bun-redis.md' },
-                    { name: 'Express BUN SQLite', path: 'resources/tutorials/javascript/npm/express-bun-sqlite.md', displayPath: 'JavaScript › Express BUN SQLite', fullPath: 'resources/tutorials/javascript/npm/express-bun-sqlite.md' },
-                    { name: 'NeutralinoJS', path: 'resources/tutorials/javascript/npm/neutralinojs.md', displayPath: 'JavaScript › NeutralinoJS', fullPath: 'resources/tutorials/javascript/npm/neutralinojs.md' },
-                    // Homebrew tutorials
-                    { name: 'Docker', path: 'resources/tutorials/homebrew/development-tools/docker.md', displayPath: 'Homebrew › Docker', fullPath: 'resources/tutorials/homebrew/development-tools/docker.md' },
-                    { name: 'Git', path: 'resources/tutorials/homebrew/development-tools/git.md', displayPath: 'Homebrew › Git', fullPath: 'resources/tutorials/homebrew/development-tools/git.md' },
-                    { name: 'Terminal', path: 'resources/tutorials/homebrew/system-guides/terminal.md', displayPath: 'Homebrew › Terminal', fullPath: 'resources/tutorials/homebrew/system-guides/terminal.md' },
-                    { name: 'V Programming Language', path: 'resources/tutorials/homebrew/programming-languages/vlang.md', displayPath: 'Homebrew › Programming Languages', fullPath: 'resources/tutorials/homebrew/programming-languages/vlang.md' },
-                    { name: 'Vlang', path: 'resources/tutorials/homebrew/programming-languages/vlang.md', displayPath: 'Homebrew › Programming Languages', fullPath: 'resources/tutorials/homebrew/programming-languages/vlang.md' }
-                ];
-                console.log('Added fallback tutorials:', allTutorials.length);
-            }
-        };
+    toggleTutorialCompleted(path = this.progressPath) {
+        if (!path) return;
+        this.setTutorialCompleted(path, !this.getReadingProgress(path).completed);
+    }
 
-        // Search function
-        const performSearch = (query) => {
-            console.log('Performing search for:', query);
-            console.log('Available tutorials:', allTutorials.length);
-            
-            if (!query || query.length < 2) {
-                searchResults.classList.remove('show');
-                return;
-            }
+    resetReadingProgress(path) {
+        this.getReadingProgress(path);
+        delete this.readingProgress[path];
+        this.saveReadingProgress();
+        this.updateProgressIndicators(path);
+        if (path === this.progressPath) {
+            this.updateTutorialProgressHeader(0);
+        }
+    }
 
-            // If no tutorials are loaded yet, try fallback data
-            if (allTutorials.length === 0) {
-                console.log('No tutorials found, trying fallback data...');
-                addFallbackTutorials();
-            }
+    updateTutorialProgressHeader(seen = null) {
+        const bar = document.querySelector('.tutorial-header .reading-progress-bar');
+        const toggle = document.querySelector('.reading-complete-toggle');
+        const progress = this.getReadingProgress(this.progressPath);
+        
+        if (bar && seen !== null) {
+            bar.style.width = `${Math.round(seen * 100)}%`;
+        }
+        bar?.parentElement.classList.toggle('completed', progress.completed);
+        if (toggle) {
+            toggle.classList.toggle('completed', progress.completed);
+            toggle.innerHTML = progress.completed
+                ? '<i class="fas fa-check-circle"></i> Completed'
+                : '<i class="fas fa-check"></i> Mark as Completed';
+            toggle.title = progress.completed ? 'Mark as not completed' : `${progress.percent}% read`;
+        }
+    }
 
-            // If still no tutorials, show loading message
-            if (allTutorials.length === 0) {
-                searchResults.innerHTML = '<div class="search-result-item"><div class="search-result-title">Loading tutorials...</div><div class="search-result-path">Please wait while tutorials are being indexed</div></div>';
-                searchResults.classList.add('show');
+    getFolderProgress(children, navKey) {
+        // Average over the folder's tutorials, completed ones counting as fully read
+        let total = 0;
+        let completed = 0;
+        let read = 0;
+        const visit = (entries, prefix) => Object.entries(entries || {}).forEach(([key, item]) => {
+            const itemKey = prefix ? `${prefix}/${key}` : key;
+            if (item.type === 'folder') {
+                visit(item.children, itemKey);
                 return;
             }
+            const progress = this.getReadingProgress(item.path || itemKey);
+            total++;
+            completed += progress.completed ? 1 : 0;
+            read += progress.completed ? 100 : progress.percent;
+        });
+        visit(children, navKey);
+        return { total, completed, percent: total ? Math.round(read / total) : 0 };
+    }
 
-            const results = allTutorials.filter(tutorial => {
-                const searchTerms = query.toLowerCase().split(/\s+/);
-                const searchableText = (tutorial.name + ' ' + tutorial.displayPath).toLowerCase();
-                return searchTerms.every(term => searchableText.includes(term));
-            }).slice(0, 8); // Limit results
-
-            console.log('Search results found:', results.length);
+    renderProgressLabel(progress) {
+        // Folder roll-ups carry a total; single tutorials don't
+        if (progress.total !== undefined) {
+            if (!progress.percent && !progress.completed) return '';
+            return `<small class="progress-label">${progress.percent}% read · ${progress.completed}/${progress.total} completed</small>`;
+        }
+        if (progress.completed) {
+            return '<small class="progress-label completed"><i class="fas fa-check-circle"></i> Completed</small>';
+        }
+        return progress.percent ? `<small class="progress-label">${progress.percent}% read</small>` : '';
+    }
+
+    applyNavFileProgress(element, path) {
+        const progress = this.getReadingProgress(path);
+        const indicator = element.querySelector('.nav-file-indicator');
+        element.classList.toggle('progress-completed', progress.completed);
+        element.classList.toggle('progress-started', !progress.completed && progress.percent > 0);
+        if (!indicator) return;
+        
+        indicator.style.setProperty('--read', `${progress.percent}%`);
+        indicator.innerHTML = progress.completed ? '<i class="fas fa-check"></i>' : '';
+        indicator.title = progress.completed ? 'Completed' : progress.percent ? `${progress.percent}% read` : '';
+    }
+
+    applyNavFolderProgress(element, folder, navKey) {
+        const label = element.querySelector(':scope > .nav-folder-content .nav-folder-progress');
+        if (!label) return;
+        
+        const progress = this.getFolderProgress(folder.children, navKey);
+        const started = progress.percent > 0 || progress.completed > 0;
+        label.textContent = started ? `${progress.percent}%` : '';
+        label.title = started ? `${progress.percent}% read, ${progress.completed} of ${progress.total} completed` : '';
+        label.classList.toggle('completed', progress.total > 0 && progress.completed === progress.total);
+    }
+
+    updateProgressIndicators(path) {
+        // The tutorial's own marker and the roll-ups of every folder above it
+        const navKey = this.getNavKeyForPath(path) || path;
+        const fileElement = this.findNavElement(navKey);
+        if (fileElement) {
+            this.applyNavFileProgress(fileElement, path);
+        }
+        
+        const parts = navKey.split('/');
+        for (let length = parts.length - 1; length > 0; length--) {
+            const folderKey = parts.slice(0, length).join('/');
+            const element = this.findNavElement(folderKey);
+            const entry = this.getNavigationEntry(folderKey);
+            if (element && entry) {
+                this.applyNavFolderProgress(element, entry, folderKey);
+            }
+        }
+    }
+
+    // Favorites
+    getFavoriteGroups() {
+        // The first group holds ungrouped favorites and has no name
+        if (!Array.isArray(this.settings.favorites) || this.settings.favorites.length === 0) {
+            this.settings.favorites = [{ id: 'default', name: '', items: [] }];
+        }
+        return this.settings.favorites;
+    }
+
+    findFavorite(favorite) {
+        // By id, or by what it points to: { group, index, item } or null
+        for (const group of this.getFavoriteGroups()) {
+            const index = group.items.findIndex(item => favorite.id
+                ? item.id === favorite.id
+                : item.kind === favorite.kind && item.path === favorite.path && (item.anchor || '') === (favorite.anchor || ''));
+            if (index !== -1) {
+                return { group, index, item: group.items[index] };
+            }
+        }
+        return null;
+    }
+
+    getNavItemFavorite(element) {
+        const navKey = element.dataset.navKey;
+        const entry = this.getNavigationEntry(navKey);
+        if (!entry) return null;
+        
+        return entry.type === 'folder'
+            ? { kind: 'folder', path: navKey, title: entry.name }
+            : { kind: 'tutorial', path: entry.path || navKey, title: entry.name };
+    }
+
+    getHeadingFavorite(element) {
+        // A heading of the open tutorial, or a table of contents link pointing at one; the split view's
+        // document is not the current one, so its headings and links are not taken
+        const mainContent = document.getElementById('main-content');
+        if (this.determineCurrentPageType() !== 'tutorial' || !mainContent.contains(element)) return null;
+        const heading = element.classList.contains('toc-link')
+            ? this.findElementById(mainContent, this.decodeUriPart(element.getAttribute('href').slice(1)))
+            : element;
+        if (!heading || !heading.id) return null;
+        
+        return {
+            kind: 'heading',
+            path: this.currentPath,
+            anchor: heading.id,
+            title: heading.textContent.trim(),
+            documentTitle: document.querySelector('.tutorial-title')?.textContent.trim() || ''
+        };
+    }
+
+    getHeadingInView() {
+        // The last heading that scrolled past the toolbar, or the first one
+        const headings = Array.from(document.querySelectorAll('#main-content .markdown-content :is(h1, h2, h3, h4, h5, h6)'));
+        const toolbarHeight = document.getElementById('appToolbar')?.offsetHeight || 0;
+        const passed = headings.filter(heading => heading.getBoundingClientRect().top <= toolbarHeight + 10);
+        return passed[passed.length - 1] || headings[0] || null;
+    }
+
+    toggleFavoriteForCurrentPage(atHeading = false) {
+        const pageType = this.determineCurrentPageType();
+        let favorite = null;
+        
+        if (pageType === 'tutorial') {
+            const heading = atHeading ? this.getHeadingInView() : null;
+            favorite = heading
+                ? this.getHeadingFavorite(heading)
+                : { kind: 'tutorial', path: this.currentPath, title: document.querySelector('.tutorial-title')?.textContent.trim() || this.currentPath };
+        } else if (pageType === 'folder' && this.getNavigationEntry(this.currentPath)) {
+            favorite = { kind: 'folder', path: this.currentPath, title: this.getNavigationEntry(this.currentPath).name };
+        }
+        
+        if (!favorite) {
+            this.showNotification('Open a tutorial or folder to add it to Favorites', true);
+            return;
+        }
+        this.toggleFavorite(favorite);
+    }
+
+    toggleFavorite(favorite) {
+        const existing = this.findFavorite(favorite);
+        if (existing) {
+            this.removeFavorite(existing.item.id);
+            this.showNotification(`Removed from Favorites: ${favorite.title}`);
+        } else {
+            this.addFavorite(favorite);
+            this.showNotification(`Added to Favorites: ${favorite.title}`);
+        }
+    }
+
+    addFavorite(favorite, groupId = null, beforeId = null) {
+        // Adding something that is already a favorite moves it instead
+        const existing = this.findFavorite(favorite);
+        if (existing) {
+            this.moveFavorite(existing.item.id, groupId || existing.group.id, beforeId);
+            return;
+        }
+        
+        const item = {
+            id: `fav-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            kind: favorite.kind,
+            path: favorite.path,
+            title: favorite.title
+        };
+        if (favorite.anchor) {
+            item.anchor = favorite.anchor;
+            item.documentTitle = favorite.documentTitle;
+        }
+        this.insertFavorite(item, groupId, beforeId);
+        this.saveFavorites();
+    }
+
+    insertFavorite(item, groupId, beforeId) {
+        const groups = this.getFavoriteGroups();
+        const group = groups.find(candidate => candidate.id === groupId) || groups[0];
+        const index = beforeId ? group.items.findIndex(candidate => candidate.id === beforeId) : -1;
+        group.items.splice(index === -1 ? group.items.length : index, 0, item);
+    }
+
+    moveFavorite(id, groupId, beforeId = null) {
+        const found = this.findFavorite({ id });
+        if (!found || id === beforeId) return;
+        
+        found.group.items.splice(found.index, 1);
+        this.insertFavorite(found.item, groupId, beforeId);
+        this.saveFavorites();
+    }
+
+    moveFavoriteBy(id, offset) {
+        // Keyboard and context menu reordering within a group
+        const found = this.findFavorite({ id });
+        if (!found) return;
+        
+        const target = found.index + offset;
+        if (target < 0 || target >= found.group.items.length) return;
+        found.group.items.splice(found.index, 1);
+        found.group.items.splice(target, 0, found.item);
+        this.saveFavorites();
+        document.querySelector(`.favorite-item[data-favorite-id="${id}"]`)?.focus();
+    }
+
+    removeFavorite(id) {
+        const found = this.findFavorite({ id });
+        if (!found) return;
+        
+        found.group.items.splice(found.index, 1);
+        this.saveFavorites();
+    }
+
+    addFavoriteGroup() {
+        const group = { id: `group-${Date.now().toString(36)}`, name: 'New Group', items: [] };
+        this.getFavoriteGroups().push(group);
+        this.saveFavorites();
+        this.startRenamingFavoriteGroup(group.id);
+    }
+
+    removeFavoriteGroup(groupId) {
+        // The group's favorites are kept and move to the ungrouped list
+        const groups = this.getFavoriteGroups();
+        const index = groups.findIndex(group => group.id === groupId);
+        if (index <= 0) return;
+        
+        const [group] = groups.splice(index, 1);
+        groups[0].items.push(...group.items);
+        this.saveFavorites();
+    }
+
+    toggleFavoriteGroup(groupId) {
+        const group = this.getFavoriteGroups().find(candidate => candidate.id === groupId);
+        if (!group) return;
+        
+        group.collapsed = !group.collapsed;
+        this.saveFavorites();
+    }
+
+    startRenamingFavoriteGroup(groupId) {
+        const group = this.getFavoriteGroups().find(candidate => candidate.id === groupId);
+        const label = document.querySelector(`.favorites-group[data-group-id="${groupId}"] .favorites-group-name`);
+        if (!group || !label) return;
+        
+        const input = document.createElement('input');
+        input.className = 'favorites-group-input';
+        input.value = group.name;
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save && input.value.trim()) {
+                group.name = input.value.trim();
+            }
+            this.saveFavorites();
+        };
+        input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (event) => event.stopPropagation());
+    }
+
+    saveFavorites() {
+        this.saveSettings();
+        this.renderFavorites();
+    }
+
+    isFavoriteAvailable(item) {
+        // Favorites outlive library changes; ones whose target is gone are shown dimmed
+        if (item.kind === 'folder') return !!this.getNavigationEntry(item.path);
+        return !!this.getNavigationEntry(this.getNavKeyForPath(item.path));
+    }
+
+    async openFavorite(id) {
+        const found = this.findFavorite({ id });
+        if (!found) return;
+        
+        const item = found.item;
+        if (!this.isFavoriteAvailable(item)) {
+            this.showNotification(`Not found in the library: ${item.title}`, true);
+            return;
+        }
+        
+        if (item.kind === 'folder') {
+            this.showFolderContents(item.path, item.title);
+        } else if (item.kind === 'heading') {
+            await this.loadTutorial(item.path, item.documentTitle || item.title);
+            this.scrollToHeading(item.anchor);
+        } else {
+            await this.loadTutorial(item.path, item.title);
+        }
+    }
+
+    createFavoritesPane() {
+        const pane = document.createElement('div');
+        pane.className = 'favorites-pane';
+        pane.id = 'favoritesPane';
+        
+        pane.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-action]');
+            const favorite = event.target.closest('.favorite-item');
+            const group = event.target.closest('.favorites-group');
+            event.stopPropagation();
+            this.hideContextMenu();
+            
+            if (action && action.dataset.action === 'add-group') {
+                this.addFavoriteGroup();
+            } else if (action && action.dataset.action === 'remove') {
+                this.removeFavorite(favorite.dataset.favoriteId);
+            } else if (action && action.dataset.action === 'toggle-group') {
+                this.toggleFavoriteGroup(group.dataset.groupId);
+            } else if (favorite) {
+                this.openFavorite(favorite.dataset.favoriteId);
+            }
+        });
+        
+        pane.addEventListener('dblclick', (event) => {
+            const group = event.target.closest('.favorites-group');
+            if (event.target.closest('.favorites-group-name') && group) {
+                this.startRenamingFavoriteGroup(group.dataset.groupId);
+            }
+        });
+        
+        pane.addEventListener('keydown', (event) => {
+            const favorite = event.target.closest('.favorite-item');
+            if (!favorite) return;
+            
+            const id = favorite.dataset.favoriteId;
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.openFavorite(id);
+            } else if (event.key === 'Delete' || event.key === 'Backspace') {
+                event.preventDefault();
+                this.removeFavorite(id);
+            } else if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+                event.preventDefault();
+                this.moveFavoriteBy(id, event.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+        
+        pane.addEventListener('contextmenu', (event) => {
+            const favorite = event.target.closest('.favorite-item');
+            const group = event.target.closest('.favorites-group-header');
+            if (!favorite && !group) return;
+            
+            event.preventDefault();
+            this.hideContextMenu();
+            if (favorite) {
+                this.showFavoriteContextMenu(event, favorite.dataset.favoriteId);
+            } else {
+                const groupId = group.closest('.favorites-group').dataset.groupId;
+                this.renderContextMenu(event, [
+                    { icon: 'fa-edit', text: 'Rename Group', action: () => this.startRenamingFavoriteGroup(groupId) },
+                    { icon: 'fa-trash', text: 'Delete Group', action: () => this.removeFavoriteGroup(groupId) }
+                ]);
+            }
+        });
+        
+        // Reordering and drops from the library tree
+        pane.addEventListener('dragstart', (event) => {
+            const favorite = event.target.closest('.favorite-item');
+            if (!favorite) return;
+            
+            event.stopPropagation();
+            event.dataTransfer.setData(MarkdownBuddy.FAVORITE_DRAG_TYPE, JSON.stringify({ id: favorite.dataset.favoriteId }));
+            event.dataTransfer.effectAllowed = 'move';
+            favorite.classList.add('dragging');
+        });
+        
+        const clearDropMarkers = () => {
+            pane.querySelectorAll('.favorite-drop-before, .favorites-drop-target')
+                .forEach(element => element.classList.remove('favorite-drop-before', 'favorites-drop-target'));
+        };
+        const getDropTarget = (event) => {
+            // Drop before the hovered favorite (or after it on its lower half), else at the group's end
+            const groupElement = event.target.closest('.favorites-group') || pane.querySelector('.favorites-group');
+            let before = event.target.closest('.favorite-item');
+            if (before) {
+                const rect = before.getBoundingClientRect();
+                if (event.clientY > rect.top + rect.height / 2) {
+                    before = before.nextElementSibling && before.nextElementSibling.matches('.favorite-item')
+                        ? before.nextElementSibling : null;
+                }
+            }
+            return { groupElement, before };
+        };
+        
+        pane.addEventListener('dragover', (event) => {
+            if (!Array.from(event.dataTransfer.types || []).includes(MarkdownBuddy.FAVORITE_DRAG_TYPE)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = event.dataTransfer.effectAllowed === 'move' ? 'move' : 'copy';
+            
+            clearDropMarkers();
+            const { groupElement, before } = getDropTarget(event);
+            (before || groupElement)?.classList.add(before ? 'favorite-drop-before' : 'favorites-drop-target');
+        });
+        
+        pane.addEventListener('dragleave', (event) => {
+            if (!pane.contains(event.relatedTarget)) {
+                clearDropMarkers();
+            }
+        });
+        
+        pane.addEventListener('drop', (event) => {
+            const data = event.dataTransfer.getData(MarkdownBuddy.FAVORITE_DRAG_TYPE);
+            if (!data) return;
+            event.preventDefault();
+            
+            const { groupElement, before } = getDropTarget(event);
+            clearDropMarkers();
+            try {
+                const dropped = JSON.parse(data);
+                const groupId = groupElement ? groupElement.dataset.groupId : null;
+                const beforeId = before ? before.dataset.favoriteId : null;
+                if (dropped.id) {
+                    this.moveFavorite(dropped.id, groupId, beforeId);
+                } else {
+                    this.addFavorite(dropped, groupId, beforeId);
+                }
+            } catch (error) {
+                console.warn('Ignoring invalid favorite drop:', error);
+            }
+        });
+        
+        this.renderFavorites(pane);
+        return pane;
+    }
+
+    renderFavorites(pane = document.getElementById('favoritesPane')) {
+        if (!pane) return;
+        
+        const groups = this.getFavoriteGroups();
+        const total = groups.reduce((count, group) => count + group.items.length, 0);
+        const renderItem = (item) => {
+            const available = this.isFavoriteAvailable(item);
+            const tooltip = item.kind === 'heading' ? `${item.documentTitle} › ${item.title}` : item.title;
+            return `
+                <div class="favorite-item${available ? '' : ' favorite-missing'}" data-favorite-id="${item.id}" draggable="true" tabindex="0"
+                    title="${this.escapeHtml(available ? tooltip : `${tooltip} (not found in the library)`)}">
+                    <i class="fas ${MarkdownBuddy.FAVORITE_ICONS[item.kind] || 'fa-file-alt'}"></i>
+                    <span class="favorite-title">${this.escapeHtml(item.title)}</span>
+                    <button class="favorite-remove" data-action="remove" title="Remove from Favorites"><i class="fas fa-times"></i></button>
+                </div>
+            `;
+        };
+        
+        pane.innerHTML = `
+            <div class="favorites-header">
+                <span class="favorites-heading"><i class="fas fa-star"></i> Favorites</span>
+                <button class="favorites-add-group" data-action="add-group" title="New group"><i class="fas fa-folder-plus"></i></button>
+            </div>
+            ${groups.map((group, index) => `
+                <div class="favorites-group${group.collapsed ? ' collapsed' : ''}" data-group-id="${group.id}">
+                    ${index === 0 ? '' : `
+                        <div class="favorites-group-header" data-action="toggle-group" title="Double-click the name to rename">
+                            <i class="fas fa-chevron-right favorites-group-toggle"></i>
+                            <span class="favorites-group-name">${this.escapeHtml(group.name)}</span>
+                            <span class="favorites-group-count">${group.items.length}</span>
+                        </div>
+                    `}
+                    <div class="favorites-items">
+                        ${group.items.map(renderItem).join('')}
+                        ${index > 0 && group.items.length === 0 ? '<div class="favorites-empty">Drop favorites here</div>' : ''}
+                    </div>
+                </div>
+            `).join('')}
+            ${total === 0 ? '<div class="favorites-empty">Drag tutorials, folders or headings here, or press Ctrl/Cmd+D</div>' : ''}
+        `;
+    }
+
+    showFavoriteContextMenu(event, id) {
+        const found = this.findFavorite({ id });
+        if (!found) return;
+        
+        const groups = this.getFavoriteGroups();
+        const menuItems = [
+            { icon: 'fa-external-link-alt', text: 'Open', action: () => this.openFavorite(id) },
+            { icon: 'fa-arrow-up', text: 'Move Up', action: () => this.moveFavoriteBy(id, -1) },
+            { icon: 'fa-arrow-down', text: 'Move Down', action: () => this.moveFavoriteBy(id, 1) }
+        ];
+        groups.filter(group => group !== found.group).forEach(group => {
+            menuItems.push({
+                icon: 'fa-folder',
+                text: group.name ? `Move to “${this.escapeHtml(group.name)}”` : 'Move out of Group',
+                action: () => this.moveFavorite(id, group.id)
+            });
+        });
+        menuItems.push(
+            { separator: true },
+            { icon: 'fa-trash', text: 'Remove from Favorites', action: () => this.removeFavorite(id) }
+        );
+        this.renderContextMenu(event, menuItems);
+    }
+
+    showHeadingContextMenu(event, favorite) {
+        this.hideContextMenu();
+        const tutorial = { kind: 'tutorial', path: favorite.path, title: favorite.documentTitle };
+        this.renderContextMenu(event, [
+            {
+                icon: 'fa-star',
+                text: this.findFavorite(favorite) ? 'Remove Heading from Favorites' : 'Add Heading to Favorites',
+                action: () => this.toggleFavorite(favorite)
+            },
+            {
+                icon: 'fa-star',
+                text: this.findFavorite(tutorial) ? 'Remove Tutorial from Favorites' : 'Add Tutorial to Favorites',
+                action: () => this.toggleFavorite(tutorial)
+            },
+            {
+                icon: 'fa-columns',
+                text: 'Open Section in Split View',
+                action: () => this.openInSplitView(favorite.path, favorite.documentTitle, favorite.anchor)
+            }
+        ]);
+    }
+
+    // External Files
+    isDocumentFile(name) {
+        return this.getDocumentType(name) !== null;
+    }
+
+    getDocumentType(name) {
+        // 'markdown', 'text' or 'notebook', or null for files the library doesn't show
+        const match = /\.([^./\\]+)$/.exec(name || '');
+        return (match && MarkdownBuddy.DOCUMENT_TYPES[match[1].toLowerCase()]) || null;
+    }
+
+    stripDocumentExtension(name) {
+        return this.isDocumentFile(name) ? name.slice(0, name.lastIndexOf('.')) : name;
+    }
+
+    async openExternalFile() {
+        if (typeof Neutralino === 'undefined' || !Neutralino.os) {
+            this.showNotification('Drop a Markdown file onto the window to open it', true);
+            return;
+        }
+        
+        try {
+            const selection = await Neutralino.os.showOpenDialog('Open document', {
+                filters: [
+                    { name: 'Documents', extensions: Object.keys(MarkdownBuddy.DOCUMENT_TYPES) },
+                    { name: 'All files', extensions: ['*'] }
+                ]
+            });
+            if (selection && selection.length > 0) {
+                await this.openExternalTutorial(this.normalizeLibraryRoot(selection[0]));
+            }
+        } catch (error) {
+            console.error('Failed to open file:', error);
+            this.showNotification('Failed to open file', true);
+        }
+    }
+
+    async openExternalTutorial(path, content = null) {
+        if (!this.isDocumentFile(path)) {
+            this.showNotification('Only Markdown, text and notebook files can be opened', true);
+            return;
+        }
+        
+        // Files that already live in the library open from their usual place
+        const libraryKey = this.getNavKeyForPath(path);
+        const libraryEntry = this.getNavigationEntry(libraryKey);
+        if (libraryEntry && !libraryEntry.external) {
+            await this.loadTutorial(path, libraryEntry.name);
+            return;
+        }
+        
+        if (content !== null) {
+            this.externalContents.set(path, content);
+        }
+        
+        const navKey = this.addExternalEntry(path);
+        const entry = this.getNavigationEntry(navKey);
+        await this.loadTutorial(path, entry.name);
+        
+        const navItem = this.findNavElement(navKey);
+        if (navItem) {
+            this.setActiveNavItem(navItem);
+        }
+    }
+
+    addExternalEntry(path) {
+        // One-off files are grouped under a synthetic top-level "External" category
+        const externalKey = MarkdownBuddy.EXTERNAL_KEY;
+        const isNewFolder = !this.navigationData[externalKey];
+        if (isNewFolder) {
+            this.navigationData[externalKey] = {
+                type: 'folder',
+                name: '📎 External',
+                children: {},
+                external: true
+            };
+        }
+        
+        const children = this.navigationData[externalKey].children;
+        const existingKey = Object.keys(children).find(key => children[key].path === path);
+        if (existingKey) {
+            return `${externalKey}/${existingKey}`;
+        }
+        
+        const baseName = this.getPathBaseName(path);
+        let key = baseName;
+        let counter = 2;
+        while (children[key]) {
+            key = `${counter}-${baseName}`;
+            counter++;
+        }
+        
+        children[key] = {
+            type: 'file',
+            name: this.formatDisplayName(this.stripDocumentExtension(baseName)),
+            path: path,
+            external: true
+        };
+        
+        this.insertNavigationElement(isNewFolder ? externalKey : `${externalKey}/${key}`);
+        if (this.rebuildSearchIndex) {
+            this.rebuildSearchIndex();
+        }
+        return `${externalKey}/${key}`;
+    }
+
+    removeExternalEntry(navKey) {
+        const entry = this.getNavigationEntry(navKey);
+        if (!entry || !entry.external) return;
+        
+        const externalKey = MarkdownBuddy.EXTERNAL_KEY;
+        const children = this.navigationData[externalKey].children;
+        delete children[navKey.slice(externalKey.length + 1)];
+        this.externalContents.delete(entry.path);
+        this.findNavElement(navKey)?.remove();
+        
+        if (Object.keys(children).length === 0) {
+            delete this.navigationData[externalKey];
+            this.findNavElement(externalKey)?.remove();
+        } else {
+            this.updateFolderCounts(externalKey);
+        }
+        
+        if (this.rebuildSearchIndex) {
+            this.rebuildSearchIndex();
+        }
+    }
+
+    setupScrollToTop() {
+        const scrollToTopBtn = document.getElementById('scrollToTopBtn');
+        if (!scrollToTopBtn) return;
+
+        let scrollTimeout = null;
+        let isVisible = false;
+        
+        // Show/hide button based on scroll position
+        const toggleScrollButton = () => {
+            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+            const threshold = 300; // Show button after scrolling 300px
+            const shouldBeVisible = scrollTop > threshold;
+            
+            if (shouldBeVisible !== isVisible) {
+                isVisible = shouldBeVisible;
+                if (isVisible) {
+                    scrollToTopBtn.classList.add('visible');
+                } else {
+                    scrollToTopBtn.classList.remove('visible');
+                }
+            }
+        };
+
+        // Throttled scroll handler
+        const throttledScrollHandler = () => {
+            if (scrollTimeout) return;
+            
+            scrollTimeout = setTimeout(() => {
+                toggleScrollButton();
+                scrollTimeout = null;
+            }, 100);
+        };
+
+        // Smooth scroll to top function  
+        const scrollToTopHandler = () => {
+            this.scrollToTop();
+        };
+
+        // Event listeners
+        scrollToTopBtn.addEventListener('click', scrollToTopHandler);
+        window.addEventListener('scroll', throttledScrollHandler, { passive: true });
+        
+        // Initial check
+        toggleScrollButton();
+    }
+
+    setupSearchFunctionality() {
+        console.log('Setting up search functionality...');
+        
+        const searchInput = document.getElementById('tutorialSearch');
+        const searchClear = document.getElementById('searchClear');
+        const searchResults = document.getElementById('searchResults');
+        
+        console.log('Search elements found:', {
+            input: !!searchInput,
+            clear: !!searchClear, 
+            results: !!searchResults
+        });
+        
+        if (!searchInput || !searchClear || !searchResults) {
+            console.error('Search elements not found!');
+            return;
+        }
+
+        let searchTimeout = null;
+        let allTutorials = [];
+
+        // Build searchable tutorial index
+        const buildTutorialIndex = () => {
+            allTutorials = [];
+            console.log('Building tutorial index...');
+            
+            // navigationData is keyed by entry name; library roots are top-level entries like any category
+            const collectTutorials = (children, keyPath = '', trail = []) => {
+                Object.keys(children || {}).forEach(key => {
+                    const node = children[key];
+                    const navKey = keyPath ? `${keyPath}/${key}` : key;
+                    if (node.type === 'file') {
+                        allTutorials.push({
+                            name: node.name || this.stripDocumentExtension(key),
+                            path: navKey,
+                            displayPath: trail.join(' › '),
+                            fullPath: node.path || navKey,
+                            tags: node.meta?.tags || [],
+                            summary: node.meta?.summary || ''
+                        });
+                    } else if (node.type === 'folder' && node.children) {
+                        collectTutorials(node.children, navKey, [...trail, node.name || key]);
+                    }
+                });
+            };
+
+            // Try multiple data sources
+            if (this.hasNavigationData()) {
+                collectTutorials(this.navigationData);
+                console.log('Tutorials indexed from navigationData:', allTutorials.length);
+                this.buildContentIndex();
+            } else {
+                console.log('NavigationData not available, will retry...');
+                // If navigation data isn't ready, we can also try to collect from DOM
+                const navItems = document.querySelectorAll('.nav-file');
+                navItems.forEach(item => {
+                    const text = item.textContent.trim();
+                    if (text && text.endsWith('.md')) {
+                        allTutorials.push({
+                            name: text.replace('.md', ''),
+                            path: text,
+                            displayPath: 'Various',
+                            fullPath: text
+                        });
+                    }
+                });
+                console.log('Tutorials indexed from DOM:', allTutorials.length);
+            }
+        };
+
+        // Search function
+        const performSearch = (query) => {
+            console.log('Performing search for:', query);
+            console.log('Available tutorials:', allTutorials.length);
+            
+            if (!query || query.trim().length < 2) {
+                this.cancelSearch();
+                searchResults.classList.remove('show');
+                return;
+            }
+
+            // No tutorials yet: the library is still being scanned
+            if (allTutorials.length === 0) {
+                searchResults.innerHTML = '<div class="search-result-item"><div class="search-result-title">Loading tutorials...</div><div class="search-result-path">Please wait while tutorials are being indexed</div></div>';
+                searchResults.classList.add('show');
+                return;
+            }
+
+            // Names, tags and summaries plus the full-text index of tutorial bodies, ranked in the search worker.
+            // The query is passed untrimmed: a trailing space ends the word autocomplete would otherwise extend.
+            this.searchTutorials(query, allTutorials).then(found => {
+                if (found) showResults(found.results.slice(0, 8), found.suggestions, found.total); // Limit results
+            });
+        };
+
+        const showResults = (results, suggestions, total) => {
+            console.log('Search results found:', results.length);
 
-            if (results.length > 0) {
-                searchResults.innerHTML = results.map((result, index) => `
-                    <div class="search-result-item" data-path="${result.fullPath}" tabindex="0">
-                        <div class="search-result-title">${this.highlightSearchTerms(result.name, query)}</div>
-                        <div class="search-result-path">${result.displayPath}</div>
+            const suggestionItems = suggestions.map(suggestion => `
+                    <div class="search-result-item search-suggestion" data-complete="${this.escapeHtml(suggestion.query)}" tabindex="0">
+                        <div class="search-result-title"><i class="fas ${MarkdownBuddy.SEARCH_SUGGESTION_ICONS[suggestion.kind]}"></i> ${this.escapeHtml(suggestion.label)}</div>
+                        <div class="search-result-path">${this.escapeHtml(suggestion.detail)}</div>
                     </div>
                 `).join('');
+
+            if (results.length === 0 && suggestionItems) {
+                searchResults.innerHTML = suggestionItems;
+                searchResults.classList.add('show');
+            } else if (results.length > 0) {
+                searchResults.innerHTML = suggestionItems + results.map(({ tutorial: result, match, highlights, words }) => `
+                    <div class="search-result-item" data-path="${result.fullPath}" data-anchor="${match ? this.escapeHtml(match.anchor) : ''}" data-words="${this.escapeHtml(words.join(' '))}" tabindex="0">
+                        <div class="search-result-title">${this.highlightMatches(result.name, highlights.name)}</div>
+                        <div class="search-result-path">${this.highlightMatches(result.displayPath, highlights.path)}${match && match.heading ? ` › ${this.escapeHtml(match.heading)}` : ''}</div>
+                        ${match && match.snippet ? `<div class="search-result-snippet">${this.highlightMatches(match.snippet, match.snippetRanges)}</div>` : ''}
+                    </div>
+                `).join('') + (total > results.length ? `
+                    <div class="search-result-item search-result-all" data-show-all="true" tabindex="0">
+                        <div class="search-result-title"><i class="fas fa-search"></i> Show all ${total} results</div>
+                        <div class="search-result-path">Grouped by category, with more context</div>
+                    </div>
+                ` : '');
                 searchResults.classList.add('show');
                 console.log('Search results displayed');
             } else {
@@ -1239,11 +2318,28 @@ class MarkdownBuddy {
             }
         };
 
+        // Put a picked autocomplete suggestion into the box and search again
+        const applySuggestion = (item) => {
+            searchInput.value = item.dataset.complete;
+            searchInput.focus();
+            performSearch(searchInput.value);
+        };
+
+        // Leave the dropdown for the full results page
+        const showAllResults = () => {
+            clearTimeout(searchTimeout);
+            this.cancelSearch();
+            searchResults.classList.remove('show');
+            this.showSearchResultsPage(searchInput.value);
+        };
+
         // Input event handler
         searchInput.addEventListener('input', (e) => {
-            const query = e.target.value.trim();
-            console.log('Search input changed:', query);
+            const query = e.target.value;
+            console.log('Search input changed:', query.trim());
             
+            // Further typing supersedes whatever search is still running
+            this.cancelSearch();
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => performSearch(query), 200);
         });
@@ -1261,6 +2357,7 @@ class MarkdownBuddy {
 
         // Clear button handler
         searchClear.addEventListener('click', () => {
+            this.cancelSearch();
             searchInput.value = '';
             searchResults.classList.remove('show');
             searchInput.focus();
@@ -1271,14 +2368,18 @@ class MarkdownBuddy {
             console.log('Search result clicked:', e.target);
             const resultItem = e.target.closest('.search-result-item');
             console.log('Found result item:', resultItem);
-            if (resultItem) {
+            if (resultItem && resultItem.dataset.complete !== undefined) {
+                applySuggestion(resultItem);
+            } else if (resultItem && resultItem.dataset.showAll) {
+                showAllResults();
+            } else if (resultItem) {
                 const path = resultItem.dataset.path;
                 console.log('Path from dataset:', path);
                 if (path) {
                     const title = resultItem.querySelector('.search-result-title')?.textContent || 'Tutorial';
                     console.log('Opening tutorial:', path, 'with title:', title);
                     try {
-                        this.loadTutorial(path, title);
+                        this.openSearchMatch(path, title, resultItem.dataset.anchor, searchInput.value, resultItem.dataset.words);
                         searchInput.value = '';
                         searchResults.classList.remove('show');
                     } catch (error) {
@@ -1322,102 +2423,710 @@ class MarkdownBuddy {
 
             if (e.key === 'Enter') {
                 e.preventDefault();
-                const activeItem = searchResults.querySelector('.search-result-item.active') ||
-                                 searchResults.querySelector('.search-result-item');
-                if (activeItem && activeItem.dataset.path) {
+                // Without a highlighted result Enter opens the full results page
+                const activeItem = searchResults.classList.contains('show') &&
+                                 searchResults.querySelector('.search-result-item.active');
+                if (!activeItem || activeItem.dataset.showAll) {
+                    if (searchInput.value.trim().length >= 2) {
+                        showAllResults();
+                    }
+                } else if (activeItem.dataset.complete !== undefined) {
+                    applySuggestion(activeItem);
+                } else if (activeItem.dataset.path) {
                     const path = activeItem.dataset.path;
                     const title = activeItem.querySelector('.search-result-title')?.textContent || 'Tutorial';
                     console.log('Opening tutorial via Enter key:', path, 'with title:', title);
-                    this.loadTutorial(path, title);
+                    this.openSearchMatch(path, title, activeItem.dataset.anchor, searchInput.value, activeItem.dataset.words);
                     searchInput.value = '';
                     searchResults.classList.remove('show');
                 }
             }
         });
 
-        // Build initial index when navigation is loaded
-        const buildIndexWhenReady = () => {
-            if (this.navigationData && this.navigationData.children) {
-                buildTutorialIndex();
-                // Update placeholder to indicate search is ready
-                if (searchInput) {
-                    searchInput.placeholder = `Search ${allTutorials.length} tutorials...`;
-                    console.log('Search ready with', allTutorials.length, 'tutorials');
-                }
-            } else {
-                console.log('Navigation data not ready, adding real fallback tutorials...');
-                // Add real tutorials that exist in the project for immediate search functionality
-                allTutorials = [
-                    // Google Scripts tutorials
-                    { name: 'Gmail Functions', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-gmail-functions.md' },
-                    { name: 'Google Docs', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-docs.md' },
-                    { name: 'Google Drive', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-drive.md' },
-                    { name: 'Google Sheets', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-sheets.md' },
-                    { name: 'YouTube API', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-youtube-api.md' },
-                    // Python tutorials
-                    { name: 'Django', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/django.md' },
-                    { name: 'Flask', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/flask.md' },
-                    { name: 'FastAPI', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/fastapi.md' },
-                    { name: 'Pandas', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/pandas.md' },
-                    { name: 'NumPy', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/numpy.md' },
-                    { name: 'Matplotlib', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/matplotlib.md' },
-                    { name: 'PyGame', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/pygame.md' },
-                    { name: 'Redis', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/redis.md' },
-                    // JavaScript tutorials
-                    { name: 'Express Bun SQLite', displayPath: 'JavaScript › NPM', fullPath: 'resources/tutorials/javascript/npm/express-bun-sqlite.md' },
-                    { name: 'Express Bun Redis', displayPath: 'JavaScript › NPM', fullPath: 'resources/tutorials/javascript/npm/express-bun-redis.md' },
-                    { name: 'NeutralinoJS', displayPath: 'JavaScript › NPM', fullPath: 'resources/tutorials/javascript/npm/neutralinojs.md' },
-                    // Homebrew tutorials
-                    { name: 'Git', displayPath: 'Homebrew › Development Tools', fullPath: 'resources/tutorials/homebrew/development-tools/git.md' },
-                    { name: 'Docker', displayPath: 'Homebrew › Development Tools', fullPath: 'resources/tutorials/homebrew/development-tools/docker.md' },
-                    { name: 'FFmpeg', displayPath: 'Homebrew › Development Tools', fullPath: 'resources/tutorials/homebrew/development-tools/ffmpeg.md' },
-                    { name: 'V Programming Language', displayPath: 'Homebrew › Programming Languages', fullPath: 'resources/tutorials/homebrew/programming-languages/vlang.md' },
-                    { name: 'Vlang', displayPath: 'Homebrew › Programming Languages', fullPath: 'resources/tutorials/homebrew/programming-languages/vlang.md' }
-                ];
-                console.log('Added real fallback tutorials:', allTutorials.length);
-                if (searchInput) {
-                    searchInput.placeholder = `Search ${allTutorials.length} tutorials... (loading more)`;
+        // Build initial index when navigation is loaded
+        const buildIndexWhenReady = () => {
+            if (this.hasNavigationData()) {
+                buildTutorialIndex();
+                // Update placeholder to indicate search is ready
+                if (searchInput) {
+                    searchInput.placeholder = `Search ${allTutorials.length} tutorials...`;
+                    console.log('Search ready with', allTutorials.length, 'tutorials');
+                }
+            } else {
+                console.log('Navigation data not ready, adding real fallback tutorials...');
+                // Add real tutorials that exist in the project for immediate search functionality
+                allTutorials = [
+                    // Google Scripts tutorials
+                    { name: 'Gmail Functions', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-gmail-functions.md' },
+                    { name: 'Google Docs', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-docs.md' },
+                    { name: 'Google Drive', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-drive.md' },
+                    { name: 'Google Sheets', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-google-sheets.md' },
+                    { name: 'YouTube API', displayPath: 'Google Scripts', fullPath: 'resources/tutorials/google scripts/google-apps-script-youtube-api.md' },
+                    // Python tutorials
+                    { name: 'Django', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/django.md' },
+                    { name: 'Flask', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/flask.md' },
+                    { name: 'FastAPI', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/fastapi.md' },
+                    { name: 'Pandas', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/pandas.md' },
+                    { name: 'NumPy', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/numpy.md' },
+                    { name: 'Matplotlib', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/matplotlib.md' },
+                    { name: 'PyGame', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/pygame.md' },
+                    { name: 'Redis', displayPath: 'Python › Pip', fullPath: 'resources/tutorials/python/pip/redis.md' },
+                    // JavaScript tutorials
+                    { name: 'Express Bun SQLite', displayPath: 'JavaScript › NPM', fullPath: 'resources/tutorials/javascript/npm/express-bun-sqlite.md' },
+                    { name: 'Express Bun Redis', displayPath: 'JavaScript › NPM', fullPath: 'resources/tutorials/javascript/npm/express-bun-redis.md' },
+                    { name: 'NeutralinoJS', displayPath: 'JavaScript › NPM', fullPath: 'resources/tutorials/javascript/npm/neutralinojs.md' },
+                    // Homebrew tutorials
+                    { name: 'Git', displayPath: 'Homebrew › Development Tools', fullPath: 'resources/tutorials/homebrew/development-tools/git.md' },
+                    { name: 'Docker', displayPath: 'Homebrew › Development Tools', fullPath: 'resources/tutorials/homebrew/development-tools/docker.md' },
+                    { name: 'FFmpeg', displayPath: 'Homebrew › Development Tools', fullPath: 'resources/tutorials/homebrew/development-tools/ffmpeg.md' },
+                    { name: 'V Programming Language', displayPath: 'Homebrew › Programming Languages', fullPath: 'resources/tutorials/homebrew/programming-languages/vlang.md' },
+                    { name: 'Vlang', displayPath: 'Homebrew › Programming Languages', fullPath: 'resources/tutorials/homebrew/programming-languages/vlang.md' }
+                ];
+                console.log('Added real fallback tutorials:', allTutorials.length);
+                if (searchInput) {
+                    searchInput.placeholder = `Search ${allTutorials.length} tutorials... (loading more)`;
+                }
+                setTimeout(buildIndexWhenReady, 1000);
+            }
+        };
+        buildIndexWhenReady();
+        
+        // Let incremental navigation updates (file watchers) refresh the index
+        this.rebuildSearchIndex = buildTutorialIndex;
+        
+        // The results page searches the same tutorial list as the dropdown
+        this.getSearchableTutorials = () => allTutorials;
+
+        // Rebuild index when navigation updates
+        const originalLoadNavigation = this.loadNavigation;
+        if (originalLoadNavigation) {
+            this.loadNavigation = async function(...args) {
+                const result = await originalLoadNavigation.apply(this, args);
+                buildTutorialIndex();
+                return result;
+            }.bind(this);
+        }
+        
+        // Also rebuild when refreshNavigation is called
+        const originalRefreshNavigation = this.refreshNavigation;
+        if (originalRefreshNavigation) {
+            this.refreshNavigation = async function(...args) {
+                const result = await originalRefreshNavigation.apply(this, args);
+                setTimeout(buildTutorialIndex, 100); // Small delay to ensure navigation is updated
+                return result;
+            }.bind(this);
+        }
+    }
+
+    hasNavigationData() {
+        return !!this.navigationData && Object.keys(this.navigationData).length > 0;
+    }
+
+    async searchTutorials(query, tutorials, options = {}) {
+        // Parsed, fuzzy-matched and ranked in the search worker. Resolves to { results, total, categories,
+        // suggestions }, or null when a newer search superseded this one. options: limit, offset, snippets,
+        // sort and categories, see the worker's search handler, and channel: searches only supersede others
+        // of the same channel, so typing in the dropdown leaves a results page loading.
+        const channel = options.channel || 'dropdown';
+        const requestId = (this.latestSearchRequests[channel] || 0) + 1;
+        this.latestSearchRequests[channel] = requestId;
+        
+        if (!this.startSearchWorker()) {
+            // Without the worker only names, paths, tags and summaries are searched, operators are not understood
+            const terms = this.tokenizeSearchText(query);
+            const results = terms.length === 0 ? [] : tutorials
+                .filter(tutorial => {
+                    const text = [tutorial.name, tutorial.displayPath, ...(tutorial.tags || []), tutorial.summary || ''].join(' ').toLowerCase();
+                    return terms.every(term => text.includes(term));
+                })
+                .map(tutorial => ({ tutorial, category: '', score: 0, match: null, matches: [], highlights: { name: [], path: [] }, words: [] }));
+            const offset = options.offset || 0;
+            const limit = options.limit || 8;
+            return { results: results.slice(offset, offset + limit), total: results.length, categories: [], suggestions: [] };
+        }
+        
+        if (tutorials !== this.searchWorkerTutorials) {
+            this.searchWorkerTutorials = tutorials;
+            this.callSearchWorker('setTutorials', { tutorials })
+                .catch(error => console.warn('Failed to send tutorials to the search worker:', error));
+        }
+        
+        try {
+            const found = await this.callSearchWorker('search', { query, limit: 8, ...options, channel });
+            return requestId === this.latestSearchRequests[channel] ? found : null;
+        } catch (error) {
+            console.error('Search failed:', error);
+            return requestId === this.latestSearchRequests[channel] ? { results: [], total: 0, categories: [], suggestions: [] } : null;
+        }
+    }
+
+    cancelSearch() {
+        // Typing went on or the search was cleared: drop dropdown results still on their way
+        this.latestSearchRequests.dropdown = (this.latestSearchRequests.dropdown || 0) + 1;
+        if (this.searchWorker) {
+            this.callSearchWorker('cancel', { channel: 'dropdown' }).catch(() => {});
+        }
+    }
+
+    openSearchMatch(path, title, anchor, query, words) {
+        // words are the indexed spellings the query matched, so typos still highlight the real text
+        const terms = words ? words.split(' ').filter(Boolean) : [];
+        return this.loadTutorial(path, title).then(() => {
+            if (anchor) {
+                this.scrollToHeading(anchor);
+            }
+            this.highlightDocumentTerms(terms.length ? terms : this.tokenizeSearchText(query || ''), !anchor);
+        });
+    }
+
+    highlightDocumentTerms(terms, scrollToFirst) {
+        // Wrap matched terms in the rendered tutorial so they are easy to spot
+        const container = document.querySelector('#main-content .markdown-content');
+        if (!container || terms.length === 0) return;
+        
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (pattern.test(walker.currentNode.nodeValue) && !walker.currentNode.parentElement.closest('.copy-button')) {
+                textNodes.push(walker.currentNode);
+            }
+            pattern.lastIndex = 0;
+        }
+        
+        textNodes.slice(0, MarkdownBuddy.MAX_SEARCH_HIGHLIGHTS).forEach(node => {
+            const fragment = document.createDocumentFragment();
+            node.nodeValue.split(pattern).forEach((part, index) => {
+                if (index % 2 === 1) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-hit';
+                    mark.textContent = part;
+                    fragment.appendChild(mark);
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        });
+        
+        const firstHit = container.querySelector('mark.search-hit');
+        if (scrollToFirst && firstHit) {
+            firstHit.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    // Find in Document
+    setupFindBar() {
+        const findInput = document.getElementById('findInput');
+        if (!findInput) return;
+        
+        let findTimeout;
+        findInput.addEventListener('input', () => {
+            clearTimeout(findTimeout);
+            findTimeout = setTimeout(() => this.runFind(), 150);
+        });
+        
+        findInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                clearTimeout(findTimeout);
+                this.findNext(event.shiftKey ? -1 : 1);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.closeFindBar();
+            }
+        });
+        
+        // Option toggles: button id -> findState flag
+        const toggles = { findCaseToggle: 'caseSensitive', findWordToggle: 'wholeWord', findRegexToggle: 'regex' };
+        Object.entries(toggles).forEach(([id, option]) => {
+            document.getElementById(id)?.addEventListener('click', (event) => {
+                this.findState[option] = !this.findState[option];
+                event.currentTarget.classList.toggle('active', this.findState[option]);
+                event.currentTarget.setAttribute('aria-pressed', String(this.findState[option]));
+                this.runFind();
+                findInput.focus();
+            });
+        });
+        
+        document.getElementById('findPrevBtn')?.addEventListener('click', () => this.findNext(-1));
+        document.getElementById('findNextBtn')?.addEventListener('click', () => this.findNext(1));
+        document.getElementById('findCloseBtn')?.addEventListener('click', () => this.closeFindBar());
+        
+        // Follow the reader to the next page while the bar is open
+        const mainContent = document.getElementById('main-content');
+        if (mainContent && typeof MutationObserver !== 'undefined') {
+            new MutationObserver(() => this.refreshFindBar()).observe(mainContent, { childList: true });
+        }
+    }
+
+    openFindBar() {
+        const findBar = document.getElementById('findBar');
+        const findInput = document.getElementById('findInput');
+        if (!findBar || !findInput) return;
+        
+        // Pages without a document (home, folders, reports) keep the old behaviour
+        if (!document.querySelector('#main-content .markdown-content')) {
+            this.focusSearch();
+            return;
+        }
+        
+        // Start from the selected text, like browsers do
+        const selection = window.getSelection ? window.getSelection().toString().trim() : '';
+        if (selection && !selection.includes('\n') && !findBar.contains(document.activeElement)) {
+            findInput.value = selection;
+        }
+        
+        const wasHidden = findBar.hidden;
+        findBar.hidden = false;
+        this.findState.suspended = false;
+        findInput.focus();
+        findInput.select();
+        if (wasHidden || findInput.value !== this.findState.query) {
+            this.runFind();
+        }
+    }
+
+    closeFindBar() {
+        const findBar = document.getElementById('findBar');
+        this.findState.suspended = false;
+        if (!findBar || findBar.hidden) return;
+        
+        findBar.hidden = true;
+        this.clearFindHighlights();
+        this.findState.query = '';
+        this.updateFindCount();
+    }
+
+    refreshFindBar() {
+        const findBar = document.getElementById('findBar');
+        if (!findBar) return;
+        
+        // Pages without a document (and loading placeholders) hide the bar until the next one
+        const hasDocument = !!document.querySelector('#main-content .markdown-content');
+        if (!findBar.hidden && !hasDocument) {
+            findBar.hidden = true;
+            this.clearFindHighlights();
+            this.findState.suspended = true;
+        } else if (this.findState.suspended && hasDocument) {
+            findBar.hidden = false;
+            this.findState.suspended = false;
+            this.runFind();
+        } else if (!findBar.hidden) {
+            this.runFind();
+        }
+    }
+
+    createFindPattern(query) {
+        const { caseSensitive, wholeWord, regex } = this.findState;
+        let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (wholeWord) {
+            source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+        }
+        
+        try {
+            return new RegExp(source, `g${caseSensitive ? '' : 'i'}${wholeWord ? 'u' : ''}`);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    runFind() {
+        const findBar = document.getElementById('findBar');
+        const findInput = document.getElementById('findInput');
+        if (!findBar || !findInput || findBar.hidden) return;
+        
+        this.clearFindHighlights();
+        const query = findInput.value;
+        this.findState.query = query;
+        findInput.classList.remove('find-invalid');
+        
+        const container = document.querySelector('#main-content .markdown-content');
+        if (!container || !query) {
+            this.updateFindCount();
+            return;
+        }
+        
+        const pattern = this.createFindPattern(query);
+        if (!pattern) {
+            findInput.classList.add('find-invalid');
+            this.updateFindCount('Invalid pattern');
+            return;
+        }
+        
+        // Match against the document's text as a whole so hits may span highlighted code
+        // tokens; a line break between blocks keeps matches from running across them
+        const blockSelector = 'p, li, pre, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote, figcaption, summary';
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let text = '';
+        let lastBlock = null;
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.parentElement.closest('.copy-button')) continue;
+            
+            const block = node.parentElement.closest(blockSelector);
+            if (block !== lastBlock) {
+                text += '\n';
+                lastBlock = block;
+            }
+            nodes.push({ node, start: text.length });
+            text += node.nodeValue;
+        }
+        
+        const ranges = [];
+        let match;
+        while (ranges.length < MarkdownBuddy.MAX_FIND_MATCHES && (match = pattern.exec(text))) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        
+        // Pieces of each match, per text node: node -> [[from, to, matchIndex]]
+        const pieces = new Map();
+        let first = 0;
+        ranges.forEach(([start, end], matchIndex) => {
+            while (first < nodes.length && nodes[first].start + nodes[first].node.nodeValue.length <= start) first++;
+            for (let i = first; i < nodes.length && nodes[i].start < end; i++) {
+                const { node, start: nodeStart } = nodes[i];
+                const from = Math.max(start, nodeStart) - nodeStart;
+                const to = Math.min(end, nodeStart + node.nodeValue.length) - nodeStart;
+                if (from >= to) continue;
+                if (!pieces.has(node)) pieces.set(node, []);
+                pieces.get(node).push([from, to, matchIndex]);
+            }
+        });
+        
+        const matches = ranges.map(() => []);
+        pieces.forEach((nodePieces, node) => {
+            const value = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            nodePieces.forEach(([from, to, matchIndex]) => {
+                if (from > position) {
+                    fragment.appendChild(document.createTextNode(value.slice(position, from)));
+                }
+                const mark = document.createElement('mark');
+                mark.className = 'find-hit';
+                mark.textContent = value.slice(from, to);
+                fragment.appendChild(mark);
+                matches[matchIndex].push(mark);
+                position = to;
+            });
+            if (position < value.length) {
+                fragment.appendChild(document.createTextNode(value.slice(position)));
+            }
+            node.replaceWith(fragment);
+        });
+        
+        this.findState.matches = matches;
+        this.findState.container = container;
+        
+        // Start at the first match on screen instead of jumping back to the top
+        const visible = matches.findIndex(marks => marks[0].getBoundingClientRect().bottom >= 0);
+        this.selectFindMatch(visible === -1 ? 0 : visible);
+    }
+
+    findNext(direction) {
+        const findInput = document.getElementById('findInput');
+        const { query, container, current } = this.findState;
+        
+        // The query or the document changed since the last run
+        if (!findInput || findInput.value !== query || !container || !container.isConnected) {
+            this.runFind();
+            return;
+        }
+        this.selectFindMatch(current + direction);
+    }
+
+    selectFindMatch(index) {
+        const { matches } = this.findState;
+        document.querySelectorAll('mark.find-hit-current').forEach(mark => mark.classList.remove('find-hit-current'));
+        
+        if (matches.length === 0) {
+            this.findState.current = -1;
+            this.updateFindCount();
+            return;
+        }
+        
+        this.findState.current = (index + matches.length) % matches.length;
+        const marks = matches[this.findState.current];
+        marks.forEach(mark => mark.classList.add('find-hit-current'));
+        
+        // Open collapsed sections that hide the match
+        let details = marks[0].closest('details:not([open])');
+        while (details) {
+            details.open = true;
+            details = details.parentElement.closest('details:not([open])');
+        }
+        
+        marks[0].scrollIntoView({ block: 'center' });
+        this.updateFindCount();
+    }
+
+    updateFindCount(message) {
+        const count = document.getElementById('findCount');
+        if (!count) return;
+        
+        const { query, matches, current } = this.findState;
+        if (message) {
+            count.textContent = message;
+        } else if (!query) {
+            count.textContent = '';
+        } else if (matches.length === 0) {
+            count.textContent = 'No results';
+        } else {
+            const more = matches.length >= MarkdownBuddy.MAX_FIND_MATCHES ? '+' : '';
+            count.textContent = `${current + 1} of ${matches.length}${more}`;
+        }
+        document.getElementById('findBar')?.classList.toggle('find-no-results', !!query && !message && matches.length === 0);
+    }
+
+    clearFindHighlights() {
+        const parents = new Set();
+        document.querySelectorAll('mark.find-hit').forEach(mark => {
+            parents.add(mark.parentNode);
+            mark.replaceWith(...mark.childNodes);
+        });
+        // Merge the split text nodes back so the next run sees whole words
+        parents.forEach(parent => parent.normalize());
+        
+        this.findState.matches = [];
+        this.findState.current = -1;
+        this.findState.container = null;
+    }
+
+    // Full-text Index
+    tokenizeSearchText(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(token => token.length > 1);
+    }
+
+    startSearchWorker() {
+        // The worker owns the index; this side reads files and forwards them
+        if (this.searchWorker || this.searchWorkerFailed) return this.searchWorker;
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers are not available, full-text search is disabled');
+            this.searchWorkerFailed = true;
+            return null;
+        }
+        
+        try {
+            this.searchWorker = new Worker('/js/search-worker.js');
+        } catch (error) {
+            console.error('Failed to start search worker:', error);
+            this.searchWorkerFailed = true;
+            return null;
+        }
+        
+        this.searchWorker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const request = this.searchWorkerRequests.get(id);
+            if (!request) return;
+            this.searchWorkerRequests.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        };
+        this.searchWorker.onerror = (event) => {
+            console.error('Search worker failed:', event.message || event);
+            this.searchWorker.terminate();
+            this.searchWorker = null;
+            this.searchWorkerFailed = true;
+            this.searchWorkerRequests.forEach(request => request.reject(new Error('Search worker stopped')));
+            this.searchWorkerRequests.clear();
+            this.showIndexProgress(1, 1);
+        };
+        console.log('Search worker started');
+        return this.searchWorker;
+    }
+
+    callSearchWorker(type, data = {}) {
+        if (!this.searchWorker) {
+            return Promise.reject(new Error('Search worker is not running'));
+        }
+        
+        const id = this.searchWorkerNextId++;
+        return new Promise((resolve, reject) => {
+            this.searchWorkerRequests.set(id, { resolve, reject });
+            this.searchWorker.postMessage({ ...data, id, type });
+        });
+    }
+
+    async buildContentIndex() {
+        // Sync the worker's index with the library: new documents are added, removed ones dropped, and
+        // on the first run unchanged files (same mtime and size) come from the on-disk cache
+        if (this.contentIndexBuild) {
+            this.contentIndexRebuildQueued = true;
+            return this.contentIndexBuild;
+        }
+        if (!this.startSearchWorker()) return;
+        
+        this.contentIndexBuild = (async () => {
+            if (!this.contentIndexCacheLoaded) {
+                this.contentIndexCacheLoaded = true;
+                await this.loadContentIndexCache();
+            }
+            
+            const files = this.getAllTutorialFiles();
+            const { missing, removed } = await this.callSearchWorker('sync', { paths: files.map(file => file.path) });
+            
+            const signatures = [];
+            for (const path of missing) {
+                signatures.push({ path, ...(await this.getFileSignature(path)) });
+            }
+            const { stale, discarded } = await this.callSearchWorker('restore', { files: signatures });
+            
+            for (let index = 0; index < stale.length; index++) {
+                await this.indexDocument(stale[index], signatures.find(file => file.path === stale[index]));
+                if (index % 10 === 9) {
+                    this.showIndexProgress(index + 1, stale.length);
                 }
-                setTimeout(buildIndexWhenReady, 1000);
             }
-        };
-        buildIndexWhenReady();
+            this.showIndexProgress(stale.length, stale.length);
+            
+            // Dropped documents and stale cache entries only change the cache when it is written again
+            if (removed || discarded) {
+                this.scheduleContentIndexSave();
+            }
+            const stats = await this.callSearchWorker('stats');
+            console.log(`Full-text index covers ${stats.documents} documents, ${stats.terms} terms (${stale.length} re-indexed)`);
+        })();
+        
+        try {
+            await this.contentIndexBuild;
+        } catch (error) {
+            console.error('Failed to build full-text index:', error);
+        } finally {
+            this.contentIndexBuild = null;
+        }
+        
+        if (this.contentIndexRebuildQueued) {
+            this.contentIndexRebuildQueued = false;
+            await this.buildContentIndex();
+        }
+    }
 
-        // Rebuild index when navigation updates
-        const originalLoadNavigation = this.loadNavigation;
-        if (originalLoadNavigation) {
-            this.loadNavigation = async function(...args) {
-                const result = await originalLoadNavigation.apply(this, args);
-                buildTutorialIndex();
-                return result;
-            }.bind(this);
+    async indexDocument(path, signature) {
+        if (!this.searchWorker) return;
+        
+        let source;
+        try {
+            source = this.externalContents.has(path)
+                ? this.externalContents.get(path)
+                : await this.readLibraryFile(path);
+        } catch (error) {
+            console.warn('Full-text index could not read:', path, error);
+            return;
         }
         
-        // Also rebuild when refreshNavigation is called
-        const originalRefreshNavigation = this.refreshNavigation;
-        if (originalRefreshNavigation) {
-            this.refreshNavigation = async function(...args) {
-                const result = await originalRefreshNavigation.apply(this, args);
-                setTimeout(buildTutorialIndex, 100); // Small delay to ensure navigation is updated
-                return result;
-            }.bind(this);
+        // Front matter is already searchable through the tutorial's tags and summary
+        const documentType = this.getDocumentType(path) || 'markdown';
+        const body = documentType === 'markdown' ? this.parseFrontMatter(source).body : source;
+        const fileSignature = signature === undefined ? await this.getFileSignature(path) : signature;
+        
+        try {
+            await this.callSearchWorker('index', { path, documentType, body, mtime: fileSignature?.mtime, size: fileSignature?.size });
+            this.scheduleContentIndexSave();
+        } catch (error) {
+            console.warn('Full-text index could not process:', path, error);
         }
     }
 
-    highlightSearchTerms(text, query) {
-        if (!query) return text;
+    async rebuildContentIndex() {
+        // Throw away the index and its cache and read every document again
+        if (this.contentIndexBuild) {
+            await this.contentIndexBuild;
+        }
+        if (!this.startSearchWorker()) {
+            this.showNotification('Full-text search is not available', true);
+            return;
+        }
+        
+        this.showNotification('Rebuilding search index...');
+        await this.callSearchWorker('clear');
+        this.contentIndexCacheLoaded = true;
+        await this.buildContentIndex();
+        const stats = await this.callSearchWorker('stats');
+        this.showNotification(`Search index rebuilt (${stats.documents} documents)`);
+    }
+
+    showIndexProgress(done, total) {
+        const progress = document.getElementById('searchIndexProgress');
+        if (!progress) return;
+        
+        progress.hidden = done >= total;
+        progress.title = `Indexing tutorials for search: ${done} of ${total}`;
+        progress.querySelector('.search-index-progress-bar').style.width = `${total ? Math.round(done / total * 100) : 100}%`;
+    }
+
+    async getFileSignature(path) {
+        // mtime and size decide whether a cached index record is still valid
+        if (this.externalContents.has(path) || !this.hasFilesystemAccess()) return null;
         
-        const terms = query.toLowerCase().split(/\s+/);
-        let highlightedText = text;
+        try {
+            const stats = await Neutralino.filesystem.getStats(path);
+            return { mtime: stats.modifiedAt, size: stats.size };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getContentIndexCachePath() {
+        if (!this.hasFilesystemAccess()) return null;
+        return typeof NL_DATAPATH !== 'undefined' && NL_DATAPATH ? `${NL_DATAPATH}/search-index.json` : null;
+    }
+
+    async loadContentIndexCache() {
+        // The worker parses the cache and keeps its records until the library is synced
+        const path = this.getContentIndexCachePath();
+        if (!path) return;
         
-        terms.forEach(term => {
-            if (term.length > 1) {
-                const regex = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-                highlightedText = highlightedText.replace(regex, '<mark>$1</mark>');
+        try {
+            const { count, outdated } = await this.callSearchWorker('loadCache', { text: await Neutralino.filesystem.readFile(path) });
+            if (outdated) {
+                console.log('Search index cache is from another version, rebuilding');
+            } else {
+                console.log(`Loaded ${count} cached search index records`);
             }
-        });
+        } catch (error) {
+            // First launch, or the cache was unreadable: everything gets indexed
+            console.log('No usable search index cache:', error.message || error.code || error);
+        }
+    }
+
+    scheduleContentIndexSave() {
+        // Indexing touches many documents in a row, so write the cache once things settle
+        clearTimeout(this._contentIndexSaveTimer);
+        this._contentIndexSaveTimer = setTimeout(() => this.saveContentIndexCache(), 2000);
+    }
+
+    async saveContentIndexCache() {
+        const path = this.getContentIndexCachePath();
+        if (!path || !this.searchWorker) return;
         
-        return highlightedText;
+        try {
+            const { text, count } = await this.callSearchWorker('serialize');
+            await Neutralino.filesystem.writeFile(path, text);
+            console.log(`Saved search index cache with ${count} documents`);
+        } catch (error) {
+            console.warn('Failed to save search index cache:', error);
+        }
+    }
+
+    highlightMatches(text, ranges = []) {
+        // Wrap the character ranges the search worker matched; ranges are sorted and never overlap
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            html += `${this.escapeHtml(text.slice(position, start))}<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + this.escapeHtml(text.slice(position));
     }
 
     focusSearch() {
@@ -1457,6 +3166,7 @@ class MarkdownBuddy {
                 icon: "/resources/icons/trayIcon.png",
                 menuItems: [
                     {id: "HOME", text: "Go to Home"},
+                    {id: "OPEN_FILE", text: "Open File…"},
                     {id: "REFRESH", text: "Refresh Tutorials"},
                     {id: "SEP1", text: "-"},
                     {id: "ALWAYS_ON_TOP", text: this.settings.alwaysOnTop ? "✓ Always on Top" : "Always on Top"},
@@ -1477,6 +3187,9 @@ class MarkdownBuddy {
             case "HOME":
                 this.showWelcomeContent();
                 break;
+            case "OPEN_FILE":
+                this.openExternalFile();
+                break;
             case "REFRESH":
                 this.refreshTutorials();
                 break;
@@ -1510,56 +3223,351 @@ class MarkdownBuddy {
         }
     }
 
-    quitApplication() {
-    if (this.isQuitting) return;
-    this.isQuitting = true;
-    try { this.showNotification('Quitting…'); } catch(_) {}
-        try {
-            if (typeof Neutralino !== 'undefined' && Neutralino.app && typeof Neutralino.app.exit === 'function') {
-                // Use Neutralino app exit for reliable termination on macOS/window mode
-                Neutralino.app.exit();
-                return;
-            }
-        } catch (e) {
-            console.warn('Neutralino.app.exit failed, falling back to window.close()', e);
-        }
-        try {
-            if (typeof window !== 'undefined' && typeof window.close === 'function') {
-                window.close();
-            }
-        } catch (err) {
-            console.error('Fallback window.close() failed:', err);
+    async quitApplication() {
+    if (this.isQuitting) return;
+    this.isQuitting = true;
+    // Flush what is otherwise saved after a delay, unless this instance never got as far as loading it:
+    // one that handed its launch to a running window would overwrite that window's state
+    if (this.stateLoaded) {
+        this.saveSession();
+        this.saveTabs();
+        this.saveReadingProgress();
+    }
+    try { this.showNotification('Quitting…'); } catch(_) {}
+    // A lock left behind would send the next launch to a window that is gone
+    await this.releaseInstanceLock();
+        try {
+            if (typeof Neutralino !== 'undefined' && Neutralino.app && typeof Neutralino.app.exit === 'function') {
+                // Use Neutralino app exit for reliable termination on macOS/window mode
+                Neutralino.app.exit();
+                return;
+            }
+        } catch (e) {
+            console.warn('Neutralino.app.exit failed, falling back to window.close()', e);
+        }
+        try {
+            if (typeof window !== 'undefined' && typeof window.close === 'function') {
+                window.close();
+            }
+        } catch (err) {
+            console.error('Fallback window.close() failed:', err);
+        }
+    }
+
+    async initializeApp() {
+        try {
+            // Launched with --open/--folder/--search while another window is running? Let that window handle it
+            const launchArgs = this.parseLaunchArgs(typeof NL_ARGS !== 'undefined' ? NL_ARGS : []);
+            if (launchArgs && await this.handOffToRunningInstance(launchArgs)) {
+                this.quitApplication();
+                return;
+            }
+            
+            // Initialize DOM event listeners first
+            this.setupDOMEventListeners();
+            
+            // Load navigation with error handling
+            try {
+                await this.loadNavigation();
+            } catch (navError) {
+                console.warn('Failed to load filesystem navigation, using real structure manually:', navError);
+                // Instead of demo mode, try to build the navigation manually
+                await this.buildNavigationFromFileSystem();
+            }
+            
+            // Accept launch arguments from later instances
+            this.startInstanceInbox();
+            
+            // Tabs of the last run come back; a launch location gets a tab of its own
+            const tabsRestored = this.loadTabs(!!launchArgs);
+            this.stateLoaded = true;
+            
+            // Go straight to the requested location, otherwise the restored tabs, the last session or welcome content
+            if (!launchArgs || !(await this.applyLaunchArgs(launchArgs))) {
+                if (!(tabsRestored && await this.showActiveTab()) && !(await this.restoreLastSession())) {
+                    this.showWelcomeContent();
+                }
+            }
+            
+        } catch (error) {
+            console.error('Failed to initialize app:', error);
+            // Fallback to demo mode
+            document.getElementById('main-content').innerHTML = `
+                <div class="error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <strong>Initialization Error:</strong> ${error.message || 'Failed to initialize application'}
+                    <p style="margin-top: 10px;">The tutorial library could not be loaded.</p>
+                </div>
+            `;
+            this.showNavigationUnavailable();
+        }
+    }
+
+    // Launch Arguments
+    parseLaunchArgs(args) {
+        // Supports both "--open value" and "--open=value"; Neutralino's own flags are ignored
+        const options = {};
+        for (let i = 1; i < args.length; i++) {
+            const match = /^--(open|folder|search)(?:=(.*))?$/.exec(args[i]);
+            if (!match) continue;
+            
+            let value = match[2];
+            if (value === undefined && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+                value = args[++i];
+            }
+            if (value) {
+                options[match[1]] = value.replace(/^"(.*)"$/, '$1');
+            }
+        }
+        return Object.keys(options).length > 0 ? options : null;
+    }
+
+    async applyLaunchArgs(options, cwd = typeof NL_CWD !== 'undefined' ? NL_CWD : '') {
+        try {
+            if (options.open) {
+                const hashIndex = options.open.indexOf('#');
+                const target = hashIndex === -1 ? options.open : options.open.slice(0, hashIndex);
+                const anchor = hashIndex === -1 ? '' : options.open.slice(hashIndex + 1);
+                const navKey = this.resolveLaunchTarget(target);
+                const entry = this.getNavigationEntry(navKey);
+                
+                if (entry && entry.type === 'file') {
+                    await this.loadTutorial(entry.path || navKey, entry.name);
+                } else if (this.isDocumentFile(target)) {
+                    // Not part of the library: open it like File › Open…
+                    const isAbsolute = /^([A-Za-z]:)?[\\/]/.test(target);
+                    await this.openExternalTutorial(this.normalizeLibraryRoot(isAbsolute || !cwd ? target : `${cwd}/${target}`));
+                } else {
+                    this.showNotification(`Tutorial not found: ${target}`, true);
+                    return false;
+                }
+                
+                if (anchor && !this.scrollToHeading(anchor)) {
+                    this.showNotification(`Heading not found: #${anchor}`, true);
+                }
+                return true;
+            }
+            
+            if (options.folder) {
+                const navKey = this.resolveLaunchTarget(options.folder);
+                const entry = this.getNavigationEntry(navKey);
+                if (!entry || entry.type !== 'folder') {
+                    this.showNotification(`Folder not found: ${options.folder}`, true);
+                    return false;
+                }
+                this.showFolderContents(navKey, entry.name);
+                return true;
+            }
+            
+            if (options.search) {
+                this.showWelcomeContent();
+                const searchInput = document.getElementById('tutorialSearch');
+                if (searchInput) {
+                    searchInput.value = options.search;
+                    searchInput.dispatchEvent(new Event('input'));
+                    this.focusSearch();
+                }
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to apply launch arguments:', options, error);
+        }
+        return false;
+    }
+
+    resolveLaunchTarget(target) {
+        // Accept navigation keys ("python/pip/flask.md") as well as library paths
+        const cleaned = this.normalizeLibraryRoot(target).replace(/^\.\//, '');
+        if (this.getNavigationEntry(cleaned)) return cleaned;
+        return this.getNavKeyForPath(cleaned);
+    }
+
+    scrollToHeading(anchor, root = document.getElementById('main-content')) {
+        const container = root.querySelector('.markdown-content');
+        if (!container || !anchor) return false;
+        
+        const id = this.decodeUriPart(anchor.replace(/^#/, ''));
+        const wantedId = this.generateHeaderId(id);
+        const target = this.findElementById(container, id) ||
+            Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+                .find(header => header.id === wantedId || this.generateHeaderId(header.textContent) === wantedId);
+        if (!target) return false;
+        
+        if (root.id === 'main-content') {
+            this.currentAnchor = { path: this.currentPath, anchor: target.id || id };
+        }
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        target.style.backgroundColor = '#ffeb3b';
+        target.style.transition = 'background-color 2s';
+        setTimeout(() => {
+            target.style.backgroundColor = '';
+        }, 2000);
+        return true;
+    }
+
+    findElementById(root, id) {
+        // Both views can show the same document, so ids are looked up within one of them
+        return Array.from(root.querySelectorAll('[id]')).find(element => element.id === id) || null;
+    }
+
+    // Single Instance
+    getInstanceDir() {
+        return typeof NL_DATAPATH !== 'undefined' && NL_DATAPATH ? `${NL_DATAPATH}/instance` : null;
+    }
+
+    async handOffToRunningInstance(options) {
+        const instanceDir = this.getInstanceDir();
+        if (!instanceDir || typeof Neutralino === 'undefined' || !Neutralino.filesystem) return false;
+        
+        try {
+            const lock = JSON.parse(await Neutralino.filesystem.readFile(`${instanceDir}/instance.json`));
+            // The running window refreshes its heartbeat regularly; a stale lock means it crashed
+            if (!lock || lock.pid === NL_PID || Date.now() - lock.heartbeat > MarkdownBuddy.INSTANCE_STALE_MS) {
+                return false;
+            }
+            
+            // Write then rename so the other window never reads a half-written message
+            const messageName = `${Date.now()}-${NL_PID}`;
+            await Neutralino.filesystem.writeFile(`${instanceDir}/inbox/${messageName}.tmp`, JSON.stringify({
+                args: options,
+                cwd: typeof NL_CWD !== 'undefined' ? NL_CWD : ''
+            }));
+            await Neutralino.filesystem.move(`${instanceDir}/inbox/${messageName}.tmp`, `${instanceDir}/inbox/${messageName}.json`);
+            
+            if (await this.waitForInboxMessage(`${instanceDir}/inbox/${messageName}.json`)) {
+                console.log('Launch arguments handed off to running instance', lock.pid);
+                return true;
+            }
+            console.warn('Running instance did not pick up the launch arguments, starting normally');
+            return false;
+        } catch (error) {
+            // No lock file or no inbox: this is the only instance
+            return false;
+        }
+    }
+
+    async waitForInboxMessage(messagePath) {
+        // The running window claims a message by moving it away; until then it is still ours
+        const deadline = Date.now() + MarkdownBuddy.INSTANCE_HANDOFF_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, MarkdownBuddy.INSTANCE_HANDOFF_POLL_MS));
+            if (!(await this.pathExists(messagePath))) return true;
+        }
+        
+        // Take the message back; if that fails the other window claimed it just now
+        try {
+            await Neutralino.filesystem.remove(messagePath);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    async releaseInstanceLock() {
+        // Only the window that owns the lock keeps a heartbeat running
+        if (!this._instanceHeartbeat) return;
+        clearInterval(this._instanceHeartbeat);
+        this._instanceHeartbeat = null;
+        
+        try {
+            await Neutralino.filesystem.remove(`${this.getInstanceDir()}/instance.json`);
+        } catch (error) {
+            console.warn('Failed to remove instance lock:', error);
+        }
+    }
+
+    async startInstanceInbox() {
+        const instanceDir = this.getInstanceDir();
+        if (!instanceDir || typeof Neutralino === 'undefined' || !Neutralino.filesystem) return;
+        
+        try {
+            try {
+                await Neutralino.filesystem.createDirectory(`${instanceDir}/inbox`);
+            } catch (error) {
+                // Already exists
+            }
+            
+            const writeHeartbeat = () => Neutralino.filesystem.writeFile(`${instanceDir}/instance.json`, JSON.stringify({
+                pid: NL_PID,
+                heartbeat: Date.now()
+            })).catch(error => console.warn('Failed to update instance heartbeat:', error));
+            
+            await writeHeartbeat();
+            clearInterval(this._instanceHeartbeat);
+            this._instanceHeartbeat = setInterval(() => {
+                writeHeartbeat();
+                // Also catches messages whose watcher event was missed
+                this.readInstanceInbox();
+            }, MarkdownBuddy.INSTANCE_HEARTBEAT_MS);
+            
+            if (Neutralino.filesystem.createWatcher) {
+                this.instanceInboxWatcher = await Neutralino.filesystem.createWatcher(`${instanceDir}/inbox`);
+            }
+            await this.readInstanceInbox();
+        } catch (error) {
+            console.warn('Failed to start single-instance inbox:', error);
+        }
+    }
+
+    readInstanceInbox() {
+        // Watcher events and the heartbeat both land here: one pass at a time, and one more if asked during it
+        if (this._instanceInboxRead) {
+            this._instanceInboxPending = true;
+            return this._instanceInboxRead;
         }
+        
+        this._instanceInboxRead = (async () => {
+            do {
+                this._instanceInboxPending = false;
+                await this.processInstanceInbox();
+            } while (this._instanceInboxPending);
+        })().finally(() => {
+            this._instanceInboxRead = null;
+        });
+        return this._instanceInboxRead;
     }
 
-    async initializeApp() {
+    async processInstanceInbox() {
+        const inboxDir = `${this.getInstanceDir()}/inbox`;
+        let entries;
         try {
-            // Initialize DOM event listeners first
-            this.setupDOMEventListeners();
+            entries = await Neutralino.filesystem.readDirectory(inboxDir);
+        } catch (error) {
+            return;
+        }
+        
+        for (const entry of entries) {
+            if (entry.type === 'DIRECTORY' || !entry.entry.endsWith('.json')) continue;
             
-            // Load navigation with error handling
+            // Claim the message before applying it, so it is handled once and the sender sees it taken
+            const messagePath = `${inboxDir}/${entry.entry}`;
+            const claimedPath = messagePath.replace(/\.json$/, '.claimed');
             try {
-                await this.loadNavigation();
-            } catch (navError) {
-                console.warn('Failed to load filesystem navigation, using real structure manually:', navError);
-                // Instead of demo mode, try to build the navigation manually
-                await this.buildNavigationFromFileSystem();
+                await Neutralino.filesystem.move(messagePath, claimedPath);
+            } catch (error) {
+                // Taken back by its sender after a timeout
+                continue;
             }
             
-            // Show welcome content
-            this.showWelcomeContent();
-            
+            try {
+                const message = JSON.parse(await Neutralino.filesystem.readFile(claimedPath));
+                await Neutralino.filesystem.remove(claimedPath);
+                await this.bringWindowToFront();
+                await this.applyLaunchArgs(message.args || {}, message.cwd);
+            } catch (error) {
+                console.warn('Failed to read launch message:', messagePath, error);
+            }
+        }
+    }
+
+    async bringWindowToFront() {
+        if (NL_MODE !== 'window') return;
+        try {
+            await Neutralino.window.show();
+            await Neutralino.window.unminimize();
+            await Neutralino.window.focus();
         } catch (error) {
-            console.error('Failed to initialize app:', error);
-            // Fallback to demo mode
-            document.getElementById('main-content').innerHTML = `
-                <div class="error">
-                    <i class="fas fa-exclamation-triangle"></i>
-                    <strong>Initialization Error:</strong> ${error.message || 'Failed to initialize application'}
-                    <p style="margin-top: 10px;">The app is running in demo mode with sample content.</p>
-                </div>
-            `;
-            this.loadDemoNavigation();
+            console.warn('Failed to focus window:', error);
         }
     }
 
@@ -1568,14 +3576,15 @@ class MarkdownBuddy {
             // Load real file system structure
             const navigationElement = document.getElementById('navigation');
             
-            // Check if we can access the filesystem
-            if (!Neutralino.filesystem) {
-                throw new Error('Filesystem API not available');
+            // Browser, cloud and chrome modes cannot read the disk and use the generated manifest
+            if (this.hasFilesystemAccess()) {
+                console.log('Scanning tutorials directory...');
+                this.navigationData = await this.scanLibrary();
+            } else {
+                console.log('Filesystem API not available, loading the library manifest...');
+                this.navigationData = await this.loadLibraryManifest();
             }
             
-            console.log('Scanning tutorials directory...');
-            this.navigationData = await this.scanTutorialsDirectory('resources/tutorials');
-            
             // Debug: log the structure
             console.log('Navigation data loaded:', this.navigationData);
             console.log('Found', Object.keys(this.navigationData).length, 'top-level categories');
@@ -1587,6 +3596,11 @@ class MarkdownBuddy {
             
             this.renderNavigation(navigationElement);
             
+            // Keep the tree in sync with edits made outside the app
+            if (this.hasFilesystemAccess()) {
+                this.startLibraryWatchers();
+            }
+            
             // Show a summary in the console
             this.logNavigationSummary();
             
@@ -1617,42 +3631,531 @@ class MarkdownBuddy {
         console.log(`📊 Navigation Summary: ${totalFiles} tutorials in ${totalFolders} folders`);
     }
 
-    async buildNavigationFromFileSystem() {
-        console.log('Building navigation from known filesystem structure...');
-        
-        try {
-            // Build the navigation structure manually by scanning the known directories
-            this.navigationData = {};
-            
-            // Check if we're running with Neutralino API
-            if (typeof Neutralino !== 'undefined' && Neutralino.filesystem) {
-                // Scan Google Scripts folder
-                await this.addFolderToNavigation('google scripts', 'resources/tutorials/google scripts', '📝 Google Apps Script');
-                
-                // Scan Homebrew folder
-                await this.addFolderToNavigation('homebrew', 'resources/tutorials/homebrew', '📦 Homebrew');
-                
-                // Scan Python folder
-                await this.addFolderToNavigation('python', 'resources/tutorials/python', '🐍 Python');
-            } else {
-                console.log('Neutralino API not available, creating static navigation structure...');
-                // Create a static structure based on what we know exists
-                this.navigationData = await this.createStaticNavigationStructure();
+    async buildNavigationFromFileSystem() {
+        console.log('Building navigation from known filesystem structure...');
+        
+        try {
+            // Build the navigation structure manually by scanning the known directories
+            this.navigationData = {};
+            
+            // Check if we're running with Neutralino API
+            if (this.hasFilesystemAccess()) {
+                // Scan every category under resources/tutorials plus any extra library roots
+                this.navigationData = await this.scanLibrary();
+            } else {
+                console.log('Filesystem API not available, loading the library manifest...');
+                this.navigationData = await this.loadLibraryManifest();
+            }
+            
+            // Render the navigation
+            const navigationElement = document.getElementById('navigation');
+            this.renderNavigation(navigationElement);
+            
+            console.log('Successfully built navigation with', Object.keys(this.navigationData).length, 'top-level categories');
+            
+        } catch (error) {
+            console.error('Failed to build navigation from filesystem:', error);
+            this.showNavigationUnavailable();
+        }
+    }
+    
+    // Library Manifest
+    hasFilesystemAccess() {
+        // Only the desktop window may read the library: neutralino.config.json blocks
+        // filesystem.* in browser and chrome modes and cloud mode only allows app.*
+        if (typeof Neutralino === 'undefined' || !Neutralino.filesystem) return false;
+        return typeof NL_MODE === 'undefined' || NL_MODE === 'window';
+    }
+
+    async loadLibraryManifest() {
+        // Generated by scripts/generate-manifest.js with the same scanner the desktop app uses
+        const response = await fetch(MarkdownBuddy.LIBRARY_MANIFEST_URL);
+        if (!response.ok) {
+            throw new Error(`Library manifest not available (HTTP ${response.status})`);
+        }
+        
+        const manifest = await response.json();
+        if (!manifest || manifest.version !== MarkdownBuddy.LIBRARY_MANIFEST_VERSION || !manifest.tree) {
+            throw new Error('Library manifest is from another version, run "npm run manifest"');
+        }
+        console.log('Loaded library manifest for', manifest.root);
+        return manifest.tree;
+    }
+
+    getLibraryUrl(path) {
+        // Library paths start at the app folder while pages are served from resources/
+        return encodeURI(String(path).replace(/^\/?resources\//, ''));
+    }
+
+    async readLibraryFile(path) {
+        if (this.hasFilesystemAccess()) {
+            return Neutralino.filesystem.readFile(path);
+        }
+        
+        const response = await fetch(this.getLibraryUrl(path));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    async libraryPathExists(path) {
+        if (this.hasFilesystemAccess()) {
+            return this.pathExists(path);
+        }
+        
+        try {
+            const response = await fetch(this.getLibraryUrl(path), { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Library Roots
+    async scanLibrary() {
+        // Built-in tutorials first, then each user-added folder as its own top-level category
+        this.ignoreRules.clear();
+        const structure = await this.scanTutorialsDirectory('resources/tutorials');
+        
+        for (const rootPath of this.settings.libraryRoots || []) {
+            const children = await this.scanTutorialsDirectory(rootPath);
+            const unavailable = Object.keys(children).length === 0;
+            if (unavailable) {
+                // Still listed, so it can be removed from the library again
+                console.warn('Library folder is empty or unreadable:', rootPath);
+            }
+            
+            const key = this.getLibraryRootKey(rootPath, structure);
+            structure[key] = {
+                type: 'folder',
+                name: `📂 ${this.formatDisplayName(this.getPathBaseName(rootPath))}`,
+                children: children,
+                path: rootPath,
+                libraryRoot: true,
+                unavailable
+            };
+        }
+        
+        // Files opened from outside the library stay available until the app closes
+        const externalFolder = this.navigationData && this.navigationData[MarkdownBuddy.EXTERNAL_KEY];
+        if (externalFolder) {
+            structure[MarkdownBuddy.EXTERNAL_KEY] = externalFolder;
+        }
+        
+        return structure;
+    }
+
+    getLibraryRootKey(rootPath, structure) {
+        // Navigation keys are split on '/', so use the folder name and de-duplicate it,
+        // also against the key of opened external files
+        const baseName = this.getPathBaseName(rootPath) || 'library';
+        let key = baseName;
+        let counter = 2;
+        while (structure[key] || key === MarkdownBuddy.EXTERNAL_KEY) {
+            key = `${baseName} (${counter})`;
+            counter++;
+        }
+        return key;
+    }
+
+    getPathBaseName(path) {
+        return String(path || '').replace(/\\/g, '/').replace(/\/+$/, '').split('/').pop();
+    }
+
+    normalizeLibraryRoot(path) {
+        // Keep a single separator style and no trailing slash so roots compare reliably
+        const normalized = String(path || '').replace(/\\/g, '/');
+        return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+    }
+
+    async addLibraryRoot() {
+        if (typeof Neutralino === 'undefined' || !Neutralino.os || !Neutralino.filesystem) {
+            this.showNotification('Library folders are only available in the desktop app', true);
+            return;
+        }
+        
+        try {
+            const selected = await Neutralino.os.showFolderDialog('Add library folder');
+            if (!selected) return;
+            
+            const rootPath = this.normalizeLibraryRoot(selected);
+            const roots = this.settings.libraryRoots || [];
+            if (roots.includes(rootPath)) {
+                this.showNotification('That folder is already in your library');
+                return;
+            }
+            
+            this.settings.libraryRoots = [...roots, rootPath];
+            await this.saveSettings();
+            await this.loadNavigation();
+            this.showNotification(`Added library folder: ${this.getPathBaseName(rootPath)}`);
+        } catch (error) {
+            console.error('Failed to add library folder:', error);
+            this.showNotification('Failed to add library folder', true);
+        }
+    }
+
+    async removeLibraryRoot(rootPath) {
+        const roots = this.settings.libraryRoots || [];
+        if (!roots.includes(rootPath)) return;
+        
+        this.settings.libraryRoots = roots.filter(root => root !== rootPath);
+        await this.saveSettings();
+        
+        try {
+            await this.loadNavigation();
+        } catch (error) {
+            console.warn('Failed to reload navigation after removing library folder:', error);
+        }
+        this.showNotification(`Removed library folder: ${this.getPathBaseName(rootPath)}`);
+    }
+
+    getNavKeyForPath(path) {
+        // Map a filesystem path back to its navigation key (e.g. "python/pip/flask.md")
+        if (!path) return null;
+        if (path.startsWith('resources/tutorials/')) {
+            return path.replace(/^resources\/tutorials\//, '');
+        }
+        
+        for (const [key, item] of Object.entries(this.navigationData || {})) {
+            if (item.libraryRoot && item.path && path.startsWith(item.path + '/')) {
+                return `${key}/${path.slice(item.path.length + 1)}`;
+            }
+            if (item.external) {
+                const childKey = Object.keys(item.children).find(child => item.children[child].path === path);
+                if (childKey) return `${key}/${childKey}`;
+            }
+        }
+        
+        return null;
+    }
+
+    // Live Reload
+    async startLibraryWatchers() {
+        if (typeof Neutralino === 'undefined' || !Neutralino.filesystem || !Neutralino.filesystem.createWatcher) {
+            return;
+        }
+        
+        await this.stopLibraryWatchers();
+        
+        const roots = ['resources/tutorials', ...(this.settings.libraryRoots || [])];
+        for (const rootPath of roots) {
+            try {
+                // Watcher events report absolute directories; remember how they map back to our paths
+                const absolutePath = Neutralino.filesystem.getAbsolutePath
+                    ? await Neutralino.filesystem.getAbsolutePath(rootPath)
+                    : rootPath;
+                const id = await Neutralino.filesystem.createWatcher(rootPath);
+                this.libraryWatchers.set(id, {
+                    rootPath: rootPath,
+                    watchedPath: this.normalizeLibraryRoot(absolutePath)
+                });
+            } catch (error) {
+                console.warn('Failed to watch library folder:', rootPath, error);
+            }
+        }
+        
+        console.log(`Watching ${this.libraryWatchers.size} library folders for changes`);
+    }
+
+    async stopLibraryWatchers() {
+        for (const id of this.libraryWatchers.keys()) {
+            try {
+                await Neutralino.filesystem.removeWatcher(id);
+            } catch (error) {
+                console.warn('Failed to remove watcher:', id, error);
+            }
+        }
+        this.libraryWatchers.clear();
+    }
+
+    onWatchFile(event) {
+        const detail = event.detail || {};
+        if (detail.id !== undefined && detail.id === this.instanceInboxWatcher) {
+            this.readInstanceInbox();
+            return;
+        }
+        
+        const watcher = this.libraryWatchers.get(detail.id);
+        if (!watcher || !detail.filename) return;
+        
+        const change = {
+            action: detail.action,
+            path: this.resolveWatchedPath(watcher, detail.dir, detail.filename),
+            oldPath: detail.oldFilename ? this.resolveWatchedPath(watcher, detail.dir, detail.oldFilename) : null
+        };
+        
+        // Skip changes inside ignored folders; a move across the boundary is an add or a delete
+        const pathIgnored = this.isPathIgnored(change.path);
+        const oldPathIgnored = change.oldPath ? this.isPathIgnored(change.oldPath) : true;
+        if (pathIgnored && oldPathIgnored) return;
+        if (pathIgnored) {
+            Object.assign(change, { action: 'delete', path: change.oldPath, oldPath: null });
+        } else if (change.oldPath && oldPathIgnored) {
+            Object.assign(change, { action: 'add', oldPath: null });
+        }
+        
+        this.pendingFileChanges.push(change);
+        
+        // Editors usually save in bursts (temp file, rename, modify), so apply changes together
+        clearTimeout(this._fileChangeTimer);
+        this._fileChangeTimer = setTimeout(() => this.applyPendingFileChanges(), 250);
+    }
+
+    resolveWatchedPath(watcher, dir, filename) {
+        const normalizedDir = this.normalizeLibraryRoot(dir || watcher.watchedPath);
+        const relativeDir = normalizedDir.startsWith(watcher.watchedPath)
+            ? normalizedDir.slice(watcher.watchedPath.length)
+            : '';
+        return `${watcher.rootPath}${relativeDir}/${filename}`;
+    }
+
+    async applyPendingFileChanges() {
+        const changes = this.pendingFileChanges.splice(0);
+        if (changes.length === 0) return;
+        
+        // Edited ignore rules can hide or reveal whole folders, so rescan everything
+        if (changes.some(change => [change.path, change.oldPath].some(path => path && this.getPathBaseName(path) === '.buddyignore'))) {
+            try {
+                // loadNavigation() also rebuilds the search index
+                await this.loadNavigation();
+            } catch (error) {
+                console.warn('Failed to rescan library after .buddyignore change:', error);
+            }
+            return;
+        }
+        
+        let navigationChanged = false;
+        let reloadCurrent = false;
+        
+        for (const change of changes) {
+            try {
+                if (this.getPathBaseName(change.path) === '_order.json') {
+                    navigationChanged = (await this.reloadFolderOrder(change.path)) || navigationChanged;
+                    continue;
+                }
+                
+                if (change.action === 'delete') {
+                    navigationChanged = this.removeNavigationPath(change.path) || navigationChanged;
+                } else if (change.action === 'moved' && change.oldPath) {
+                    navigationChanged = this.removeNavigationPath(change.oldPath) || navigationChanged;
+                    navigationChanged = (await this.addNavigationPath(change.path)) || navigationChanged;
+                    if (change.oldPath === this.currentPath) {
+                        // Follow the open tutorial to its new name
+                        this.currentPath = change.path;
+                        reloadCurrent = true;
+                    }
+                } else if (change.action === 'add' || change.action === 'moved') {
+                    navigationChanged = (await this.addNavigationPath(change.path)) || navigationChanged;
+                } else if (change.action === 'modified') {
+                    navigationChanged = (await this.refreshNavigationFile(change.path)) || navigationChanged;
+                    if (this.isDocumentFile(change.path)) {
+                        await this.indexDocument(change.path);
+                    }
+                }
+                
+                if (change.path === this.currentPath && change.action !== 'delete') {
+                    reloadCurrent = true;
+                }
+            } catch (error) {
+                console.warn('Failed to apply file change:', change, error);
+            }
+        }
+        
+        if (navigationChanged) {
+            this.logNavigationSummary();
+            if (this.rebuildSearchIndex) {
+                this.rebuildSearchIndex();
+            }
+        }
+        
+        if (this.determineCurrentPageType() !== 'tutorial') return;
+        
+        const currentKey = this.getNavKeyForPath(this.currentPath);
+        if (currentKey && !this.getNavigationEntry(currentKey)) {
+            this.showNotification('The open tutorial was removed from disk', true);
+        } else if (reloadCurrent) {
+            await this.reloadCurrentTutorial();
+        }
+    }
+
+    async addNavigationPath(path) {
+        const navKey = this.getNavKeyForPath(path);
+        if (!navKey || this.getNavigationEntry(navKey)) return false;
+        
+        let stats;
+        try {
+            stats = await Neutralino.filesystem.getStats(path);
+        } catch (error) {
+            // Already gone again (temporary editor files)
+            return false;
+        }
+        
+        const parts = navKey.split('/');
+        const name = parts.pop();
+        let entry;
+        
+        if (stats.isDirectory) {
+            const children = await this.scanTutorialsDirectory(path);
+            if (Object.keys(children).length === 0) return false;
+            entry = { type: 'folder', name: this.formatDisplayName(name), children: children, path: path };
+        } else if (this.isDocumentFile(name)) {
+            entry = await this.createFileEntry(name, path);
+        } else {
+            return false;
+        }
+        
+        // Create any parent folders the scanner skipped while they were empty
+        const segments = path.split('/');
+        let siblings = this.navigationData;
+        let firstNewKey = null;
+        parts.forEach((part, index) => {
+            if (!siblings[part]) {
+                siblings[part] = {
+                    type: 'folder',
+                    name: this.formatDisplayName(part),
+                    children: {},
+                    path: segments.slice(0, segments.length - (parts.length - index)).join('/')
+                };
+                firstNewKey = firstNewKey || parts.slice(0, index + 1).join('/');
+            }
+            siblings = siblings[part].children;
+        });
+        siblings[name] = entry;
+        
+        this.insertNavigationElement(firstNewKey || navKey);
+        return true;
+    }
+
+    async refreshNavigationFile(path) {
+        // Front matter may have changed the title or metadata of an existing entry
+        const navKey = this.getNavKeyForPath(path);
+        const entry = this.getNavigationEntry(navKey);
+        if (!entry || entry.type !== 'file' || entry.external) return false;
+        
+        const updated = await this.createFileEntry(this.getPathBaseName(path), path);
+        if (updated.name === entry.name && JSON.stringify(updated.meta) === JSON.stringify(entry.meta)) {
+            return false;
+        }
+        
+        const orderChanged = entry.meta?.order !== updated.meta?.order;
+        entry.name = updated.name;
+        if (updated.meta) {
+            entry.meta = updated.meta;
+        } else {
+            delete entry.meta;
+        }
+        
+        const element = this.findNavElement(navKey);
+        const textElement = element?.querySelector('.nav-file-text');
+        if (textElement) {
+            textElement.textContent = this.truncateText(entry.name, navKey.split('/').length - 1);
+            textElement.title = entry.name;
+        }
+        
+        if (element && orderChanged) {
+            // Move the item to its new position
+            const wasActive = element.classList.contains('active');
+            element.remove();
+            this.insertNavigationElement(navKey);
+            if (wasActive) {
+                this.findNavElement(navKey)?.classList.add('active');
+            }
+        }
+        return true;
+    }
+
+    removeNavigationPath(path) {
+        const navKey = this.getNavKeyForPath(path);
+        if (!navKey) return false;
+        
+        const parts = navKey.split('/');
+        const name = parts.pop();
+        const siblings = parts.length ? this.getNavigationEntry(parts.join('/'))?.children : this.navigationData;
+        if (!siblings || !siblings[name]) return false;
+        
+        delete siblings[name];
+        this.findNavElement(navKey)?.remove();
+        
+        // Drop folders that are now empty, as the scanner would; library roots stay put
+        while (parts.length) {
+            const folderKey = parts.join('/');
+            const folder = this.getNavigationEntry(folderKey);
+            if (!folder || folder.libraryRoot || Object.keys(folder.children || {}).length > 0) break;
+            
+            const folderName = parts.pop();
+            const container = parts.length ? this.getNavigationEntry(parts.join('/')).children : this.navigationData;
+            delete container[folderName];
+            this.findNavElement(folderKey)?.remove();
+        }
+        
+        this.updateFolderCounts(parts.join('/'));
+        return true;
+    }
+
+    getNavigationEntry(navKey) {
+        if (!navKey) return null;
+        
+        let siblings = this.navigationData || {};
+        let entry = null;
+        for (const part of navKey.split('/')) {
+            entry = siblings[part];
+            if (!entry) return null;
+            siblings = entry.children || {};
+        }
+        return entry;
+    }
+
+    findNavElement(navKey) {
+        const escaped = String(navKey).replace(/["\\]/g, '\\$&');
+        return document.querySelector(`#navigation [data-nav-key="${escaped}"]`);
+    }
+
+    insertNavigationElement(navKey) {
+        const item = this.getNavigationEntry(navKey);
+        if (!item) return;
+        
+        const separator = navKey.lastIndexOf('/');
+        const parentKey = separator === -1 ? '' : navKey.slice(0, separator);
+        const container = parentKey
+            ? this.findNavElement(parentKey)?.querySelector(':scope > .nav-children')
+            : document.querySelector('#navigation .nav-items');
+        if (!container) return;
+        
+        const level = navKey.split('/').length - 1;
+        const element = this.createNavigationItem(navKey, item, level);
+        
+        // Insert before the next rendered sibling to keep the folder's order
+        const siblings = parentKey ? this.getNavigationEntry(parentKey).children : this.navigationData;
+        const sortedKeys = this.getSortedKeys(siblings);
+        const nextElement = sortedKeys
+            .slice(sortedKeys.indexOf(navKey.slice(separator + 1)) + 1)
+            .map(key => this.findNavElement(parentKey ? `${parentKey}/${key}` : key))
+            .find(candidate => candidate && candidate.parentElement === container);
+        container.insertBefore(element, nextElement || null);
+        this.updateFolderCounts(parentKey);
+    }
+
+    updateFolderCounts(navKey) {
+        // Refresh the item counts of a folder and all of its ancestors
+        const parts = navKey ? navKey.split('/') : [];
+        while (parts.length) {
+            const folderKey = parts.join('/');
+            const countElement = this.findNavElement(folderKey)?.querySelector(':scope > .nav-folder-content .nav-folder-count');
+            const folder = this.getNavigationEntry(folderKey);
+            if (countElement && folder) {
+                countElement.textContent = this.countFolderItems(folder);
             }
-            
-            // Render the navigation
-            const navigationElement = document.getElementById('navigation');
-            this.renderNavigation(navigationElement);
-            
-            console.log('Successfully built navigation with', Object.keys(this.navigationData).length, 'top-level categories');
-            
-        } catch (error) {
-            console.error('Failed to build navigation from filesystem:', error);
-            // Final fallback to demo
-            this.loadDemoNavigation();
+            parts.pop();
         }
     }
-    
+
+    async reloadCurrentTutorial() {
+        const title = document.querySelector('.tutorial-title')?.textContent || '';
+        await this.loadTutorial(this.currentPath, title, { preserveScroll: true });
+    }
+
     async addFolderToNavigation(key, path, displayName) {
         try {
             const structure = await this.scanTutorialsDirectory(path);
@@ -1669,161 +4172,54 @@ class MarkdownBuddy {
         }
     }
     
-    async createStaticNavigationStructure() {
-        // Create navigation structure based on what we know exists in the filesystem
-        return {
-            'google scripts': {
-                type: 'folder',
-                name: '📝 Google Apps Script',
-                children: {
-                    'google-apps-script-gmail-functions.md': { 
-                        type: 'file', 
-                        name: 'Gmail Functions',
-                        path: 'tutorials/google scripts/google-apps-script-gmail-functions.md'
-                    },
-                    'google-apps-script-google-docs.md': { 
-                        type: 'file', 
-                        name: 'Google Docs',
-                        path: 'tutorials/google scripts/google-apps-script-google-docs.md'
-                    },
-                    'google-apps-script-google-drive.md': { 
-                        type: 'file', 
-                        name: 'Google Drive',
-                        path: 'tutorials/google scripts/google-apps-script-google-drive.md'
-                    },
-                    'google-apps-script-google-sheets.md': { 
-                        type: 'file', 
-                        name: 'Google Sheets',
-                        path: 'tutorials/google scripts/google-apps-script-google-sheets.md'
-                    },
-                    'google-apps-script-youtube-api.md': { 
-                        type: 'file', 
-                        name: 'YouTube API',
-                        path: 'tutorials/google scripts/google-apps-script-youtube-api.md'
-                    }
-                },
-                path: 'tutorials/google scripts'
-            },
-            'homebrew': {
-                type: 'folder',
-                name: '📦 Homebrew',
-                children: {
-                    'README.md': { 
-                        type: 'file', 
-                        name: 'README',
-                        path: 'tutorials/homebrew/README.md'
-                    },
-            'programming-languages': {
-                        type: 'folder',
-                        name: '💻 Programming Languages',
-                        children: {
-                'vlang.md': { type: 'file', name: 'V Language', path: 'resources/tutorials/homebrew/programming-languages/vlang.md' }
-                        },
-                        path: 'tutorials/homebrew/programming-languages'
-                    },
-                    'cli-tools': {
-                        type: 'folder',
-                        name: '⚒️ CLI Tools',
-                        children: {
-                            'bat.md': { type: 'file', name: 'Bat', path: 'tutorials/homebrew/cli-tools/bat.md' },
-                            'curl.md': { type: 'file', name: 'Curl', path: 'tutorials/homebrew/cli-tools/curl.md' },
-                            'fd-find.md': { type: 'file', name: 'Fd Find', path: 'tutorials/homebrew/cli-tools/fd-find.md' },
-                            'gawk.md': { type: 'file', name: 'Gawk', path: 'tutorials/homebrew/cli-tools/gawk.md' },
-                            'grep.md': { type: 'file', name: 'Grep', path: 'tutorials/homebrew/cli-tools/grep.md' },
-                            'jq.md': { type: 'file', name: 'Jq', path: 'tutorials/homebrew/cli-tools/jq.md' },
-                            'sed.md': { type: 'file', name: 'Sed', path: 'tutorials/homebrew/cli-tools/sed.md' },
-                            'wget.md': { type: 'file', name: 'Wget', path: 'tutorials/homebrew/cli-tools/wget.md' }
-                        },
-                        path: 'tutorials/homebrew/cli-tools'
-                    },
-                    'development-tools': {
-                        type: 'folder',
-                        name: '🔧 Development Tools',
-                        children: {
-                            'docker.md': { type: 'file', name: 'Docker', path: 'tutorials/homebrew/development-tools/docker.md' },
-                            'ffmpeg.md': { type: 'file', name: 'Ffmpeg', path: 'tutorials/homebrew/development-tools/ffmpeg.md' },
-                            'git.md': { type: 'file', name: 'Git', path: 'tutorials/homebrew/development-tools/git.md' }
-                        },
-                        path: 'tutorials/homebrew/development-tools'
-                    },
-                    'security-tools': {
-                        type: 'folder',
-                        name: '🔒 Security Tools',
-                        children: {
-                            'nmap.md': { type: 'file', name: 'Nmap', path: 'tutorials/homebrew/security-tools/nmap.md' }
-                        },
-                        path: 'tutorials/homebrew/security-tools'
-                    },
-                    'system-guides': {
-                        type: 'folder',
-                        name: '💻 System Guides',
-                        children: {
-                            'keyboard-shortcuts.md': { type: 'file', name: 'Keyboard Shortcuts', path: 'tutorials/homebrew/system-guides/keyboard-shortcuts.md' },
-                            'terminal.md': { type: 'file', name: 'Terminal', path: 'tutorials/homebrew/system-guides/terminal.md' }
-                        },
-                        path: 'tutorials/homebrew/system-guides'
-                    }
-                },
-                path: 'tutorials/homebrew'
-            },
-            'python': {
-                type: 'folder',
-                name: '🐍 Python Standard Library',
-                children: {
-                    'standard library': {
-                        type: 'folder',
-                        name: '📚 Standard Library',
-                        children: {
-                            'Binary Data Services': {
-                                type: 'folder',
-                                name: '0️⃣ Binary Data Services',
-                                children: {},
-                                path: 'tutorials/python/standard library/Binary Data Services'
-                            },
-                            'Internet Protocols and Support': {
-                                type: 'folder',
-                                name: '🌐 Internet Protocols',
-                                children: {},
-                                path: 'tutorials/python/standard library/Internet Protocols and Support'
-                            }
-                        },
-                        path: 'tutorials/python/standard library'
-                    }
-                },
-                path: 'tutorials/python'
-            }
-        };
-    }
-
-    async scanTutorialsDirectory(basePath) {
+    async scanTutorialsDirectory(basePath, inheritedRules = null) {
         try {
-            const entries = await Neutralino.filesystem.readDirectory(basePath);
+            const allEntries = await Neutralino.filesystem.readDirectory(basePath);
             const structure = {};
+            
+            // Apply the built-in ignore list, parent .buddyignore files and this folder's own
+            let rules = inheritedRules || this.getIgnoreRulesFor(basePath.slice(0, basePath.lastIndexOf('/')));
+            if (allEntries.some(entry => entry.entry === '.buddyignore' && entry.type !== 'DIRECTORY')) {
+                rules = rules.concat(await this.readIgnoreFile(basePath));
+            }
+            this.ignoreRules.set(basePath, rules);
+            
+            const entries = allEntries.filter(entry =>
+                !this.isIgnored(`${basePath}/${entry.entry}`, entry.type === 'DIRECTORY', rules));
 
-            for (const entry of entries) {
+            // Scan entries in parallel (front matter needs a read per file), then keep directory order
+            const nodes = await Promise.all(entries.map(async (entry) => {
                 const entryPath = `${basePath}/${entry.entry}`;
                 
                 if (entry.type === 'DIRECTORY') {
                     // Recursively scan subdirectories
-                    const children = await this.scanTutorialsDirectory(entryPath);
+                    const children = await this.scanTutorialsDirectory(entryPath, rules);
                     
                     // Only add folders that have content (files or non-empty subfolders)
                     if (Object.keys(children).length > 0) {
-                        structure[entry.entry] = {
+                        return {
                             type: 'folder',
                             name: this.formatDisplayName(entry.entry),
                             children: children,
                             path: entryPath
                         };
                     }
-                } else if (entry.entry.endsWith('.md')) {
-                    // Add markdown files
-                    structure[entry.entry] = {
-                        type: 'file',
-                        name: this.formatDisplayName(entry.entry.replace('.md', '')),
-                        path: entryPath
-                    };
+                } else if (this.isDocumentFile(entry.entry)) {
+                    // Add markdown, text and notebook files
+                    return this.createFileEntry(entry.entry, entryPath);
                 }
+                return null;
+            }));
+
+            entries.forEach((entry, index) => {
+                if (nodes[index]) {
+                    structure[entry.entry] = nodes[index];
+                }
+            });
+
+            // Author-defined ordering for this folder
+            if (entries.some(entry => entry.entry === '_order.json' && entry.type !== 'DIRECTORY')) {
+                this.applyFolderOrder(structure, await this.readFolderOrder(`${basePath}/_order.json`));
             }
 
             return structure;
@@ -1833,6 +4229,482 @@ class MarkdownBuddy {
         }
     }
 
+    // Ignore Rules
+    async readIgnoreFile(dirPath) {
+        try {
+            const text = await Neutralino.filesystem.readFile(`${dirPath}/.buddyignore`);
+            return this.parseIgnorePatterns(text.split(/\r?\n/), dirPath);
+        } catch (error) {
+            console.warn('Failed to read .buddyignore in', dirPath, error);
+            return [];
+        }
+    }
+
+    parseIgnorePatterns(lines, basePath) {
+        // gitignore-style: "#" comments, "!" negation, trailing "/" for folders only,
+        // patterns containing "/" are relative to the folder holding the .buddyignore
+        const rules = [];
+        lines.forEach(line => {
+            let pattern = line.trim();
+            if (!pattern || pattern.startsWith('#')) return;
+            
+            const negate = pattern.startsWith('!');
+            if (negate) pattern = pattern.slice(1);
+            const dirOnly = pattern.endsWith('/');
+            if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+            const anchored = pattern.includes('/');
+            pattern = pattern.replace(/^\/+/, '');
+            if (!pattern) return;
+            
+            rules.push({ basePath, negate, dirOnly, anchored, regex: this.globToRegExp(pattern) });
+        });
+        return rules;
+    }
+
+    globToRegExp(glob) {
+        let source = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                // "**/" matches any number of folders, any other "**" matches everything
+                const folders = glob[i + 2] === '/';
+                source += folders ? '(?:.*/)?' : '.*';
+                i += folders ? 2 : 1;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && glob.indexOf(']', i + 1) !== -1) {
+                const end = glob.indexOf(']', i + 1);
+                source += glob.slice(i, end + 1).replace(/^\[!/, '[^');
+                i = end;
+            } else {
+                source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    }
+
+    getIgnoreRulesFor(dirPath) {
+        // Rules of the nearest scanned folder, or just the built-in list outside the library
+        for (let dir = dirPath; dir; dir = dir.slice(0, Math.max(dir.lastIndexOf('/'), 0))) {
+            if (this.ignoreRules.has(dir)) return this.ignoreRules.get(dir);
+        }
+        return this.parseIgnorePatterns(MarkdownBuddy.DEFAULT_IGNORE_PATTERNS, null);
+    }
+
+    isIgnored(path, isDirectory, rules) {
+        // Later rules win, so a "!" pattern can re-include what an earlier one excluded
+        const name = this.getPathBaseName(path);
+        let ignored = false;
+        
+        rules.forEach(rule => {
+            if (rule.dirOnly && isDirectory === false) return;
+            
+            let subject = name;
+            if (rule.anchored) {
+                if (!rule.basePath || !path.startsWith(`${rule.basePath}/`)) return;
+                subject = path.slice(rule.basePath.length + 1);
+            }
+            if (rule.regex.test(subject)) {
+                ignored = !rule.negate;
+            }
+        });
+        return ignored;
+    }
+
+    isPathIgnored(path) {
+        // Check the path and every parent below the nearest scanned folder; watcher events
+        // don't say whether a deleted path was a folder, so folder-only rules apply to it too
+        let current = path;
+        let isDirectory;
+        while (!this.ignoreRules.has(current)) {
+            const separator = current.lastIndexOf('/');
+            if (separator <= 0) return false;
+            
+            const parent = current.slice(0, separator);
+            if (this.isIgnored(current, isDirectory, this.getIgnoreRulesFor(parent))) return true;
+            current = parent;
+            isDirectory = true;
+        }
+        return false;
+    }
+
+    // Ordering
+    async readFolderOrder(path) {
+        // _order.json is either ["02-setup.md", "basics", ...] or { "order": [...] }
+        try {
+            const parsed = JSON.parse(await Neutralino.filesystem.readFile(path));
+            const names = Array.isArray(parsed) ? parsed : parsed && parsed.order;
+            return Array.isArray(names) ? names.map(String) : [];
+        } catch (error) {
+            console.warn('Failed to read folder order:', path, error);
+            return [];
+        }
+    }
+
+    applyFolderOrder(children, names) {
+        Object.values(children).forEach(child => {
+            delete child.orderIndex;
+        });
+        
+        names.forEach((name, index) => {
+            // Names may omit the file extension
+            const key = children[name] ? name : Object.keys(children).find(childKey =>
+                children[childKey].type === 'file' && this.stripDocumentExtension(childKey) === name);
+            if (key) {
+                children[key].orderIndex = index;
+            }
+        });
+    }
+
+    getSortedKeys(children) {
+        // _order.json position, then front matter "order" or a numeric name prefix, then name
+        const rank = (key, item) => {
+            if (item.external) return [3, 0];
+            if (Number.isFinite(item.orderIndex)) return [0, item.orderIndex];
+            if (item.meta && Number.isFinite(item.meta.order)) return [1, item.meta.order];
+            const prefix = MarkdownBuddy.NUMERIC_PREFIX.exec(key);
+            if (prefix) return [1, Number(prefix[1])];
+            return [2, 0];
+        };
+        // Ignore leading emoji so categories sort by their words
+        const label = (key, item) => (item.name || key).replace(/^[^\p{L}\p{N}]+/u, '');
+        
+        return Object.keys(children || {}).sort((a, b) => {
+            const rankA = rank(a, children[a]);
+            const rankB = rank(b, children[b]);
+            return rankA[0] - rankB[0] ||
+                rankA[1] - rankB[1] ||
+                label(a, children[a]).localeCompare(label(b, children[b]), undefined, { sensitivity: 'base', numeric: true });
+        });
+    }
+
+    getNavKeyForDirectory(dirPath) {
+        // '' is the top level; library roots map to their own key
+        if (dirPath === 'resources/tutorials') return '';
+        for (const [key, item] of Object.entries(this.navigationData || {})) {
+            if (item.libraryRoot && item.path === dirPath) return key;
+        }
+        return this.getNavKeyForPath(dirPath);
+    }
+
+    async reloadFolderOrder(orderFilePath) {
+        const dirPath = orderFilePath.slice(0, orderFilePath.lastIndexOf('/'));
+        const navKey = this.getNavKeyForDirectory(dirPath);
+        if (navKey === null) return false;
+        
+        const children = navKey === '' ? this.navigationData : this.getNavigationEntry(navKey)?.children;
+        if (!children) return false;
+        
+        let names = [];
+        try {
+            await Neutralino.filesystem.getStats(orderFilePath);
+            names = await this.readFolderOrder(orderFilePath);
+        } catch (error) {
+            // _order.json was deleted: fall back to the default ordering
+        }
+        this.applyFolderOrder(children, names);
+        
+        if (navKey === '') {
+            this.renderNavigation(document.getElementById('navigation'));
+        } else {
+            this.rerenderNavigationFolder(navKey);
+        }
+        return true;
+    }
+
+    rerenderNavigationFolder(navKey) {
+        const element = this.findNavElement(navKey);
+        const entry = this.getNavigationEntry(navKey);
+        if (!element || !entry) return;
+        
+        const replacement = this.createNavigationItem(navKey, entry, navKey.split('/').length - 1);
+        if (element.classList.contains('expanded')) {
+            this.expandFolder(replacement);
+            replacement.setAttribute('aria-expanded', 'true');
+        }
+        element.replaceWith(replacement);
+    }
+
+    async createFileEntry(fileName, path) {
+        // Only markdown documents carry front matter
+        const meta = this.getDocumentType(fileName) === 'markdown' ? await this.readTutorialMeta(path) : null;
+        const entry = {
+            type: 'file',
+            name: meta?.title || this.formatDisplayName(this.stripDocumentExtension(fileName)),
+            path: path
+        };
+        if (meta) {
+            entry.meta = meta;
+        }
+        return entry;
+    }
+
+    // Document Formats
+    renderDocument(source, path) {
+        // Split off front matter, then render as markdown, plain text or notebook by extension
+        const documentType = this.getDocumentType(path) || 'markdown';
+        const { meta, body } = documentType === 'markdown'
+            ? this.parseFrontMatter(source)
+            : { meta: null, body: source };
+        
+        let html;
+        try {
+            if (documentType === 'text') {
+                html = this.renderPlainText(body);
+            } else if (documentType === 'notebook') {
+                html = this.renderNotebook(body);
+            } else {
+                html = marked.parse(body);
+            }
+        } catch (parseError) {
+            console.error('Failed to parse document:', parseError);
+            html = `<pre>${this.escapeHtml(body)}</pre>`;
+        }
+        return { meta, html };
+    }
+
+    renderPlainText(text) {
+        return `<pre class="plain-text-document"><code class="language-plaintext">${this.escapeHtml(text)}</code></pre>`;
+    }
+
+    renderNotebook(json) {
+        // Markdown cells as markdown, code cells highlighted in the kernel's language, followed by their saved outputs
+        const notebook = JSON.parse(json);
+        const joinSource = source => Array.isArray(source) ? source.join('') : (source || '');
+        const metadata = notebook.metadata || {};
+        const language = (metadata.language_info && metadata.language_info.name) ||
+            (metadata.kernelspec && metadata.kernelspec.language) || 'python';
+        
+        // nbformat 3 kept cells inside worksheets
+        const cells = notebook.cells || (notebook.worksheets || []).flatMap(sheet => sheet.cells || []);
+        
+        return cells.map(cell => {
+            const source = joinSource(cell.source || cell.input);
+            if (cell.cell_type === 'markdown') {
+                return `<div class="notebook-cell notebook-markdown">${this.sanitizeOutputHtml(marked.parse(source))}</div>`;
+            }
+            if (cell.cell_type === 'code') {
+                const outputs = (cell.outputs || []).map(output => this.renderNotebookOutput(output, joinSource)).join('');
+                return `
+                    <div class="notebook-cell notebook-code">
+                        ${cell.execution_count ? `<div class="notebook-prompt">In [${cell.execution_count}]:</div>` : ''}
+                        <pre><code class="language-${this.escapeHtml(language)}">${this.escapeHtml(source)}</code></pre>
+                        ${outputs}
+                    </div>
+                `;
+            }
+            return source ? `<pre class="notebook-raw">${this.escapeHtml(source)}</pre>` : '';
+        }).join('');
+    }
+
+    renderNotebookOutput(output, joinSource) {
+        if (output.output_type === 'stream') {
+            return `<pre class="notebook-output">${this.escapeHtml(joinSource(output.text))}</pre>`;
+        }
+        
+        if (output.output_type === 'error') {
+            // Tracebacks are stored with terminal colour codes
+            const traceback = (output.traceback || []).join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+            return `<pre class="notebook-output notebook-error">${this.escapeHtml(traceback || `${output.ename}: ${output.evalue}`)}</pre>`;
+        }
+        
+        const data = output.data || {};
+        // Anything but base64 could close the src attribute; such an image falls through to the other formats
+        const png = joinSource(data['image/png']).trim();
+        if (png && /^[A-Za-z0-9+/=\s]*$/.test(png)) {
+            return `<div class="notebook-output"><img src="data:image/png;base64,${png}" alt="Cell output"></div>`;
+        }
+        if (data['image/svg+xml']) {
+            return `<div class="notebook-output">${this.sanitizeOutputHtml(joinSource(data['image/svg+xml']))}</div>`;
+        }
+        if (data['text/html']) {
+            return `<div class="notebook-output">${this.sanitizeOutputHtml(joinSource(data['text/html']))}</div>`;
+        }
+        if (data['text/markdown']) {
+            return `<div class="notebook-output">${this.sanitizeOutputHtml(marked.parse(joinSource(data['text/markdown'])))}</div>`;
+        }
+        if (data['text/plain'] || output.text) {
+            return `<pre class="notebook-output">${this.escapeHtml(joinSource(data['text/plain'] || output.text))}</pre>`;
+        }
+        return '';
+    }
+
+    sanitizeOutputHtml(html) {
+        // Notebooks come from whoever wrote and ran them and this window can reach the native API:
+        // keep tables, styles and drawings, drop anything that runs script or loads a page
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll(MarkdownBuddy.UNSAFE_OUTPUT_ELEMENTS).forEach(element => element.remove());
+        template.content.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+                const unsafeUrl = MarkdownBuddy.OUTPUT_URL_ATTRIBUTES.includes(name) &&
+                    /^(javascript|vbscript|data):/.test(value) &&
+                    !/^data:image\/(png|jpe?g|gif|webp);/.test(value);
+                if (name.startsWith('on') || unsafeUrl) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+        });
+        return template.innerHTML;
+    }
+
+    // Front Matter
+    async readTutorialMeta(path) {
+        if (typeof Neutralino === 'undefined' || !Neutralino.filesystem) return null;
+        
+        try {
+            // Only the head of the file is needed; read the rest if the block runs past it
+            const peekSize = MarkdownBuddy.FRONT_MATTER_PEEK_BYTES;
+            const head = await Neutralino.filesystem.readFile(path, { pos: 0, size: peekSize });
+            if (!/^\uFEFF?---\r?\n/.test(head)) return null;
+            
+            // The byte limit can split a line, even a character; only whole lines are parsed, and a block
+            // that is not closed within them (or a file shorter than the limit) is read in full
+            const { meta } = this.parseFrontMatter(head.slice(0, head.lastIndexOf('\n') + 1));
+            if (meta) return meta;
+            return this.parseFrontMatter(await Neutralino.filesystem.readFile(path)).meta;
+        } catch (error) {
+            console.warn('Failed to read front matter:', path, error);
+            return null;
+        }
+    }
+
+    parseFrontMatter(text) {
+        // A leading "---" block of simple YAML: scalars, [inline, lists], "- item" lists and >/| blocks
+        const match = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(text || '');
+        if (!match) return { meta: null, body: text };
+        
+        const meta = {};
+        let listKey = null;
+        let block = null;
+        
+        match[1].split(/\r?\n/).forEach(line => {
+            if (block) {
+                if (/^\s+\S/.test(line) || line.trim() === '') {
+                    block.lines.push(line.trim());
+                    return;
+                }
+                meta[block.key] = block.folded
+                    ? block.lines.join(' ').replace(/\s+/g, ' ').trim()
+                    : block.lines.join('\n').trim();
+                block = null;
+            }
+            
+            if (!line.trim() || line.trim().startsWith('#')) return;
+            
+            const listItem = /^\s*-\s+(.*)$/.exec(line);
+            if (listItem && listKey) {
+                meta[listKey].push(this.parseYamlScalar(listItem[1]));
+                return;
+            }
+            
+            const pair = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+            if (!pair) return;
+            
+            const key = pair[1];
+            const raw = pair[2].trim();
+            listKey = null;
+            
+            if (raw === '') {
+                meta[key] = [];
+                listKey = key;
+            } else if (/^[>|][+-]?$/.test(raw)) {
+                block = { key, folded: raw.startsWith('>'), lines: [] };
+            } else if (/^\[.*\]$/.test(raw)) {
+                meta[key] = raw.slice(1, -1).split(',').map(value => this.parseYamlScalar(value)).filter(value => value !== '');
+            } else {
+                meta[key] = this.parseYamlScalar(raw);
+            }
+        });
+        
+        if (block) {
+            meta[block.key] = block.folded
+                ? block.lines.join(' ').replace(/\s+/g, ' ').trim()
+                : block.lines.join('\n').trim();
+        }
+        
+        return { meta: this.normalizeTutorialMeta(meta), body: text.slice(match[0].length) };
+    }
+
+    parseYamlScalar(raw) {
+        let value = String(raw).trim();
+        
+        const quoted = /^"(.*)"$/.exec(value) || /^'(.*)'$/.exec(value);
+        if (quoted) return quoted[1];
+        
+        // Strip trailing comments from unquoted values
+        value = value.replace(/\s+#.*$/, '');
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+
+    normalizeTutorialMeta(meta) {
+        const normalized = { ...meta };
+        
+        ['title', 'summary', 'difficulty', 'updated'].forEach(key => {
+            if (Array.isArray(normalized[key]) || normalized[key] === '' || normalized[key] === undefined) {
+                delete normalized[key];
+            } else {
+                normalized[key] = String(normalized[key]);
+            }
+        });
+        
+        if (typeof normalized.tags === 'string') {
+            normalized.tags = normalized.tags.split(',');
+        }
+        normalized.tags = (Array.isArray(normalized.tags) ? normalized.tags : [])
+            .map(tag => String(tag).trim())
+            .filter(Boolean);
+        
+        const order = Number(normalized.order);
+        if (normalized.order === undefined || normalized.order === '' || !Number.isFinite(order)) {
+            delete normalized.order;
+        } else {
+            normalized.order = order;
+        }
+        
+        return normalized;
+    }
+
+    renderTutorialMeta(meta) {
+        if (!meta) return '';
+        
+        const badges = [];
+        if (meta.difficulty) {
+            const level = meta.difficulty.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            badges.push(`<span class="difficulty-badge difficulty-${level}">${this.escapeHtml(meta.difficulty)}</span>`);
+        }
+        meta.tags.forEach(tag => {
+            badges.push(`<span class="tag-chip">#${this.escapeHtml(tag)}</span>`);
+        });
+        if (meta.updated) {
+            badges.push(`<span class="tutorial-updated"><i class="fas fa-calendar"></i> Updated ${this.escapeHtml(meta.updated)}</span>`);
+        }
+        
+        if (!meta.summary && badges.length === 0) return '';
+        
+        return `
+            <div class="tutorial-front-matter">
+                ${meta.summary ? `<p class="tutorial-summary">${this.escapeHtml(meta.summary)}</p>` : ''}
+                ${badges.length ? `<div class="tutorial-badges">${badges.join('')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     formatDisplayName(name) {
         // Add appropriate icons and format display names
         const iconMap = {
@@ -1890,13 +4762,13 @@ class MarkdownBuddy {
         }
         
         // Clean up long file names by removing redundant parts
-        let cleanName = name;
+        let cleanName = this.stripDocumentExtension(name);
         
         // Remove common prefixes/suffixes
         cleanName = cleanName
             .replace(' - ', ': ')
             .replace(/^google-apps-script-/, '')
-            .replace(/\.md$/, '');
+            .replace(MarkdownBuddy.NUMERIC_PREFIX, '');
         
         // Format file/folder names: replace hyphens/underscores with spaces and title case
         cleanName = cleanName
@@ -1911,41 +4783,25 @@ class MarkdownBuddy {
         return cleanName;
     }
 
-    loadDemoNavigation() {
-        // Fallback demo data
-        this.navigationData = {
-            'homebrew': {
-                type: 'folder',
-                name: '📦 Homebrew',
-                children: {
-                    'nmap.md': { type: 'file', name: 'Network Mapper (nmap)' },
-                    'keyboard-shortcuts.md': { type: 'file', name: 'Keyboard Shortcuts' }
-                }
-            },
-            'python': {
-                type: 'folder',
-                name: '� Python',
-                children: {
-                    'ipaddress.md': { type: 'file', name: 'IP Address Manipulation' }
-                }
-            },
-            'google-scripts': {
-                type: 'folder',
-                name: '📝 Google Scripts',
-                children: {
-                    'google-apps-script-youtube-api.md': { type: 'file', name: 'YouTube API' },
-                    'google-apps-script-google-sheets.md': { type: 'file', name: 'Google Sheets' }
-                }
-            }
-        };
-
+    showNavigationUnavailable() {
+        // Neither the library folder nor the generated manifest could be read
+        this.navigationData = {};
         const navigationElement = document.getElementById('navigation');
         this.renderNavigation(navigationElement);
+        navigationElement.insertAdjacentHTML('beforeend', `
+            <div class="empty-folder">
+                No tutorials could be loaded. Outside the desktop window the library is read from
+                ${MarkdownBuddy.LIBRARY_MANIFEST_URL}; regenerate it with <code>npm run manifest</code>.
+            </div>
+        `);
     }
 
     renderNavigation(container) {
         container.innerHTML = '';
         
+        // Favorites sit above the library tree
+        container.appendChild(this.createFavoritesPane());
+        
         // Add navigation breadcrumb/header
         const navHeader = document.createElement('div');
         navHeader.className = 'nav-header';
@@ -1986,7 +4842,7 @@ class MarkdownBuddy {
                     <ul>
                         <li>Press <kbd>F1</kbd> for keyboard shortcuts</li>
                         <li>Right-click items for context menu</li>
-                        <li>Use <kbd>Ctrl/Cmd+F</kbd> to search</li>
+                        <li>Use <kbd>Ctrl/Cmd+K</kbd> to search, <kbd>Ctrl/Cmd+F</kbd> to find in a tutorial</li>
                         <li>Use <kbd>Ctrl/Cmd+C</kbd> to copy selected text</li>
                         <li>Double-click folders to open folder view</li>
                     </ul>
@@ -2007,7 +4863,7 @@ class MarkdownBuddy {
         // Load saved folder states
         const folderStates = this.loadFolderStates();
         
-        Object.keys(this.navigationData).forEach(key => {
+        this.getSortedKeys(this.navigationData).forEach(key => {
             const item = this.navigationData[key];
             const element = this.createNavigationItem(key, item);
             
@@ -2153,11 +5009,16 @@ class MarkdownBuddy {
         if (item.type === 'folder') {
             div.className = 'nav-folder';
             div.tabIndex = 0;
+            div.draggable = true;
             div.setAttribute('role', 'button');
             div.setAttribute('aria-expanded', 'false');
             div.setAttribute('aria-label', `Folder: ${item.name}`);
             // Store the navigation key path for reliable retrieval
             div.dataset.navKey = key;
+            if (item.libraryRoot) {
+                div.dataset.libraryRoot = item.path;
+            }
+            div.classList.toggle('nav-folder-unavailable', !!item.unavailable);
             
             // Improved indentation calculation for deep levels
             const baseIndent = 8;
@@ -2173,12 +5034,14 @@ class MarkdownBuddy {
                         <i class="fas fa-chevron-right folder-toggle"></i>
                     </span>
                     <span class="nav-folder-icon">
-                        <i class="fas fa-folder"></i>
+                        <i class="fas ${item.unavailable ? 'fa-exclamation-triangle' : 'fa-folder'}"></i>
                     </span>
-                    <span class="nav-folder-text" title="${item.name}">${this.truncateText(item.name, level)}</span>
+                    <span class="nav-folder-text" title="${this.escapeHtml(item.unavailable ? `${item.path} is empty or could not be read` : item.name)}">${this.escapeHtml(this.truncateText(item.name, level))}</span>
+                    <span class="nav-folder-progress"></span>
                     <span class="nav-folder-count" title="Number of items">${this.countFolderItems(item)}</span>
                 </div>
             `;
+            this.applyNavFolderProgress(div, item, key);
             
             // Enhanced click handling with better event delegation
             div.addEventListener('click', (e) => {
@@ -2201,7 +5064,7 @@ class MarkdownBuddy {
             childrenDiv.setAttribute('data-level', level + 1);
             
             if (item.children) {
-                Object.keys(item.children).forEach(childKey => {
+                this.getSortedKeys(item.children).forEach(childKey => {
                     const childItem = item.children[childKey];
                     const childElement = this.createNavigationItem(`${key}/${childKey}`, childItem, level + 1);
                     childrenDiv.appendChild(childElement);
@@ -2213,9 +5076,13 @@ class MarkdownBuddy {
         } else {
             div.className = 'nav-file';
             div.tabIndex = 0;
+            div.draggable = true;
             div.setAttribute('role', 'button');
             div.setAttribute('aria-label', `File: ${item.name}`);
             div.dataset.navKey = key;
+            if (item.external) {
+                div.dataset.external = 'true';
+            }
             
             // Improved indentation calculation for deep levels
             const baseIndent = 8;
@@ -2230,10 +5097,11 @@ class MarkdownBuddy {
                     <span class="nav-file-icon">
                         <i class="fas fa-file-alt"></i>
                     </span>
-                    <span class="nav-file-text" title="${item.name}">${this.truncateText(item.name, level)}</span>
+                    <span class="nav-file-text" title="${this.escapeHtml(item.name)}">${this.escapeHtml(this.truncateText(item.name, level))}</span>
                     <span class="nav-file-indicator"></span>
                 </div>
             `;
+            this.applyNavFileProgress(div, item.path || key);
             
             // Enhanced click handling
             div.addEventListener('click', (e) => {
@@ -2422,17 +5290,7 @@ class MarkdownBuddy {
         console.log('Showing folder contents for:', path);
         
         // Track navigation history if not navigating back and path is different
-        if (!this.isNavigatingBack && this.currentPath !== path && this.currentPath !== '') {
-            const currentTitle = document.querySelector('.tutorial-title')?.textContent || 
-                               document.querySelector('.folder-title')?.textContent || 'Home';
-            const currentType = this.determineCurrentPageType();
-            
-            this.addToNavigationHistory({
-                path: this.currentPath,
-                title: currentTitle,
-                type: currentType
-            });
-        }
+        this.pushNavigationHistory(path);
         
         const mainContent = document.getElementById('main-content');
         const breadcrumb = this.createBreadcrumb(path);
@@ -2452,10 +5310,15 @@ class MarkdownBuddy {
         const subfolders = [];
         const files = [];
         
+        // README.md/index.md is shown as the folder's introduction instead of a file card
+        const indexKey = this.getFolderIndexKey(folderData.children);
+        
         if (folderData.children) {
-            Object.keys(folderData.children).forEach(key => {
+            this.getSortedKeys(folderData.children).forEach(key => {
                 const item = folderData.children[key];
-                if (item.type === 'folder') {
+                if (key === indexKey) {
+                    return;
+                } else if (item.type === 'folder') {
                     subfolders.push({ key, item });
                 } else {
                     files.push({ key, item });
@@ -2469,10 +5332,11 @@ class MarkdownBuddy {
             subfolders.forEach(({key, item}) => {
                 const folderPath = path ? `${path}/${key}` : key;
                 folderHtml += `
-                    <div class="folder-card" onclick="markdownBuddy.showFolderContents('${folderPath}', '${item.name}')">
+                    <div class="folder-card" onclick="markdownBuddy.showFolderContents('${folderPath}', '${this.escapeHtml(item.name.replace(/['"\\]/g, ''))}')" data-open-type="folder" data-open-path="${this.escapeHtml(folderPath)}" data-open-title="${this.escapeHtml(item.name)}">
                         <i class="fas fa-folder"></i>
-                        <span>${item.name}</span>
+                        <span>${this.escapeHtml(item.name)}</span>
                         <small>${Object.keys(item.children || {}).length} items</small>
+                        ${this.renderProgressLabel(this.getFolderProgress(item.children, folderPath))}
                     </div>
                 `;
             });
@@ -2486,26 +5350,47 @@ class MarkdownBuddy {
         // Prefer the real filesystem path when available to ensure reliable loading
         const filePath = item.path || (path ? `${path}/${key}` : key);
                 folderHtml += `
-            <div class="file-card" onclick="markdownBuddy.loadTutorial('${filePath}', '${item.name.replace(/['"\\]/g, '')}')">
+            <div class="file-card" onclick="markdownBuddy.loadTutorial('${filePath}', '${this.escapeHtml(item.name.replace(/['"\\]/g, ''))}')" data-open-type="tutorial" data-open-path="${this.escapeHtml(filePath)}" data-open-title="${this.escapeHtml(item.name)}">
                         <i class="fas fa-file-markdown"></i>
-                        <span>${item.name}</span>
+                        <span>${this.escapeHtml(item.name)}</span>
+                        ${this.renderFileCardMeta(item.meta)}
+                        ${this.renderProgressLabel(this.getReadingProgress(filePath))}
                     </div>
                 `;
             });
             folderHtml += '</div>';
         }
         
-        if (folderHtml === '') {
+        if (folderHtml === '' && !indexKey) {
             folderHtml = '<p class="empty-folder">This folder is empty.</p>';
         }
+        
+        const readmeHtml = indexKey ? `
+            <div class="folder-readme markdown-content">
+                <div class="loading">
+                    <i class="fas fa-spinner fa-pulse"></i>
+                    <p>Loading introduction...</p>
+                </div>
+            </div>
+        ` : '';
+
+        const folderProgress = this.getFolderProgress(folderData.children, path);
+        const progressHtml = folderProgress.percent > 0 || folderProgress.completed > 0 ? `
+            <div class="folder-progress">
+                <span>${folderProgress.completed} of ${folderProgress.total} tutorials completed · ${folderProgress.percent}% read</span>
+                <div class="reading-progress"><div class="reading-progress-bar" style="width: ${folderProgress.percent}%"></div></div>
+            </div>
+        ` : '';
 
         mainContent.innerHTML = `
             <div class="folder-contents">
                 <div class="folder-header">
                     <div class="breadcrumb">${breadcrumb}</div>
                     <h1 class="folder-title"><i class="fas fa-folder"></i> ${title}</h1>
+                    ${progressHtml}
                 </div>
                 <div class="folder-body">
+                    ${readmeHtml}
                     ${folderHtml}
                 </div>
             </div>
@@ -2516,6 +5401,59 @@ class MarkdownBuddy {
         
         // Store current path
         this.currentPath = path;
+        this.recordVisit({ path, title, type: 'folder' });
+        this.updateActiveTab();
+        
+        if (indexKey) {
+            this.renderFolderReadme(folderData.children[indexKey], path);
+        }
+    }
+
+    getFolderIndexKey(children) {
+        // The introduction is left out of the folder's cards and prev/next, but stays listed in the sidebar
+        // on purpose: it can still be opened on its own, searched, bookmarked and tracked like any tutorial
+        if (!children) return null;
+        
+        const keys = Object.keys(children).filter(key => children[key].type === 'file');
+        for (const name of MarkdownBuddy.FOLDER_INDEX_NAMES) {
+            const match = keys.find(key => key.toLowerCase() === name);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    async renderFolderReadme(item, folderPath) {
+        const container = document.querySelector('.folder-readme');
+        if (!container) return;
+        
+        try {
+            const source = this.externalContents.has(item.path)
+                ? this.externalContents.get(item.path)
+                : await this.readLibraryFile(item.path);
+            
+            // The user may have moved on while the file was being read
+            if (this.currentPath !== folderPath || !container.isConnected) return;
+            
+            container.innerHTML = marked.parse(this.parseFrontMatter(source).body);
+            this.initializeCodeBlocks();
+            this.setupAnchorNavigation();
+            this.setupDocumentLinks(container, item.path);
+            this.resolveDocumentImages(container, item.path);
+            this.refreshFindBar();
+        } catch (error) {
+            console.error('Failed to load folder introduction:', item.path, error);
+            container.remove();
+        }
+    }
+
+    renderFileCardMeta(meta) {
+        if (!meta) return '';
+        
+        const details = [meta.difficulty, ...meta.tags.slice(0, 3).map(tag => `#${tag}`)].filter(Boolean);
+        return `
+            ${meta.summary ? `<small class="file-card-summary">${this.escapeHtml(meta.summary)}</small>` : ''}
+            ${details.length ? `<small class="file-card-tags">${details.map(detail => this.escapeHtml(detail)).join(' · ')}</small>` : ''}
+        `;
     }
 
     getFolderData(path) {
@@ -2539,75 +5477,62 @@ class MarkdownBuddy {
         return { children: current };
     }
 
-    async loadTutorial(path, title) {
+    async loadTutorial(path, title, options = {}) {
         const mainContent = document.getElementById('main-content');
+        // Live reloads re-render in place and keep the reader where they were
+        const scrollPosition = options.preserveScroll ? window.pageYOffset : 0;
+        
+        // Record where the previous tutorial was left before its content goes away
+        this.trackReadingProgress();
+        this.progressPath = null;
         
         // Track navigation history if we're not going back and path is different
-        if (!this.isNavigatingBack && this.currentPath !== path && this.currentPath !== '') {
-            const currentTitle = document.querySelector('.tutorial-title')?.textContent || 
-                                document.querySelector('.folder-title')?.textContent || 'Previous Page';
-            const currentType = this.determineCurrentPageType();
-            
-            this.addToNavigationHistory({
-                path: this.currentPath,
-                title: currentTitle,
-                type: currentType
-            });
-        }
+        this.pushNavigationHistory(path);
         
         try {
             // Show loading state
-            mainContent.innerHTML = `
-                <div class="loading">
-                    <i class="fas fa-spinner fa-pulse"></i>
-                    <p>Loading tutorial...</p>
-                </div>
-            `;
+            if (!options.preserveScroll) {
+                mainContent.innerHTML = `
+                    <div class="loading">
+                        <i class="fas fa-spinner fa-pulse"></i>
+                        <p>Loading tutorial...</p>
+                    </div>
+                `;
+            }
 
-            // Update navigation breadcrumb
-            this.updateNavigationBreadcrumb(path);
+            // Update navigation breadcrumb (library roots use their navigation key, not the absolute path)
+            const navKey = this.getNavKeyForPath(path);
+            this.updateNavigationBreadcrumb(navKey || path);
 
             // Load the actual markdown file
             let markdownContent;
+            let loadError = null;
             try {
-                // Check if we have Neutralino API available
-                if (typeof Neutralino !== 'undefined' && Neutralino.filesystem) {
-                    // The path should already include the full path including resources/
+                if (this.externalContents.has(path)) {
+                    // Dropped file that was read in memory
+                    markdownContent = this.externalContents.get(path);
+                } else {
+                    // From disk in the desktop window, over HTTP in browser modes
                     console.log('Attempting to load file:', path);
-                    markdownContent = await Neutralino.filesystem.readFile(path);
+                    markdownContent = await this.readLibraryFile(path);
                     console.log('Successfully loaded file content, length:', markdownContent.length);
-                } else {
-                    // In browser mode, try to fetch the file via HTTP
-                    console.log('Loading tutorial via HTTP fetch:', path);
-                    const response = await fetch(path);
-                    if (response.ok) {
-                        markdownContent = await response.text();
-                    } else {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
                 }
             } catch (fileError) {
-                console.error('Failed to load file with all methods:', fileError);
-                console.error('Error details:', fileError.message);
-                console.error('Original path:', path);
-                console.error('Falling back to sample content');
-                markdownContent = this.getSampleMarkdown(path);
+                console.error('Failed to load file:', path, fileError);
+                loadError = fileError.message || String(fileError);
             }
             // Ensure we have some content to render
             if (typeof markdownContent !== 'string' || markdownContent.trim() === '') {
-                markdownContent = `# Unable to load content\n\n- Path: ${path}\n- Note: File not found or empty. If you are running in browser/demo mode, ensure the path exists relative to resources/index.html.`;
+                markdownContent = `# Unable to load content\n\n- Path: ${path}\n- Note: ${loadError ? `${loadError}.` : 'File is empty.'} In browser mode, run \`npm run manifest\` if the library changed.`;
             }
             
             // Create tutorial content structure
-            const breadcrumb = this.createBreadcrumb(path);
+            const breadcrumb = this.createBreadcrumb(navKey || path);
             
-            // Parse markdown content
-            let htmlContent;
-            try {
-                htmlContent = marked.parse(markdownContent);
-            } catch (parseError) {
-                console.error('Failed to parse markdown:', parseError);
-                htmlContent = `<pre>${markdownContent}</pre>`;
+            // Front matter feeds the header instead of rendering as text
+            const { meta, html: htmlContent } = this.renderDocument(markdownContent, path);
+            if (meta && meta.title) {
+                title = this.escapeHtml(meta.title);
             }
             
             // Compute prev/next navigation within the folder
@@ -2620,11 +5545,14 @@ class MarkdownBuddy {
                         <div class="tutorial-meta">
                             <h1 class="tutorial-title">${title}</h1>
                             <div class="tutorial-actions">
+                                <button class="btn-secondary reading-complete-toggle" onclick="markdownBuddy.toggleTutorialCompleted()"></button>
                                 <button class="btn-secondary" onclick="markdownBuddy.showWelcomeContent()" title="Go to home">
                                     <i class="fas fa-home"></i> Home
                                 </button>
                             </div>
                         </div>
+                        ${this.renderTutorialMeta(meta)}
+                        <div class="reading-progress"><div class="reading-progress-bar"></div></div>
                     </div>
                     <div class="tutorial-body">
                         <div class="table-of-contents" id="tableOfContents">
@@ -2635,12 +5563,12 @@ class MarkdownBuddy {
                             ${htmlContent}
                         </div>
                         <div class="tutorial-navigation">
-                            <button class="btn-secondary" ${prev ? '' : 'disabled'} ${prev ? `onclick=\"markdownBuddy.loadTutorial('${prev.path}','${prev.title.replace(/['"\\]/g, '')}')\"` : ''}>
-                                <i class="fas fa-arrow-left"></i> ${prev ? `Prev: ${prev.title}` : 'Previous'}
+                            <button class="btn-secondary" ${prev ? '' : 'disabled'} ${prev ? `onclick=\"markdownBuddy.loadTutorial('${prev.path}','${this.escapeHtml(prev.title.replace(/['"\\]/g, ''))}')\"` : ''}>
+                                <i class="fas fa-arrow-left"></i> ${prev ? `Prev: ${this.escapeHtml(prev.title)}` : 'Previous'}
                             </button>
                             <div class="tutorial-nav-spacer"></div>
-                            <button class="btn-secondary" ${next ? '' : 'disabled'} ${next ? `onclick=\"markdownBuddy.loadTutorial('${next.path}','${next.title.replace(/['"\\]/g, '')}')\"` : ''}>
-                                ${next ? `Next: ${next.title}` : 'Next'} <i class="fas fa-arrow-right"></i>
+                            <button class="btn-secondary" ${next ? '' : 'disabled'} ${next ? `onclick=\"markdownBuddy.loadTutorial('${next.path}','${this.escapeHtml(next.title.replace(/['"\\]/g, ''))}')\"` : ''}>
+                                ${next ? `Next: ${this.escapeHtml(next.title)}` : 'Next'} <i class="fas fa-arrow-right"></i>
                             </button>
                         </div>
                     </div>
@@ -2664,6 +5592,11 @@ class MarkdownBuddy {
             // Handle in-page anchor links
             this.setupAnchorNavigation();
             
+            // Links to other tutorials and images next to the document
+            const documentContainer = mainContent.querySelector('.markdown-content');
+            this.setupDocumentLinks(documentContainer, path);
+            this.resolveDocumentImages(documentContainer, path);
+            
             // Test anchor links (debug mode)
             this.testAnchorLinks();
             
@@ -2672,139 +5605,1011 @@ class MarkdownBuddy {
             // Re-apply zoom indicator after content swap
             this.applyZoom();
             
+            if (options.preserveScroll) {
+                window.scrollTo(0, scrollPosition);
+            } else {
+                // Continue where the reader left off; anchors and search hits scroll afterwards
+                this.restoreReadingPosition(path);
+            }
+            this.progressPath = path;
+            this.trackReadingProgress(false);
+            this.recordVisit({ path, title: document.querySelector('.tutorial-title')?.textContent || title, type: 'tutorial' });
+            this.updateActiveTab();
+            
         } catch (error) {
             console.error('Failed to load tutorial:', error);
             this.showError('Failed to load tutorial. Please try again.');
         }
     }
 
-    getPrevNextTutorial(path) {
+    getPrevNextTutorial(path) {
+        try {
+            // Normalize path (strip leading resources/ if present)
+            const relPath = this.getNavKeyForPath(path) || path;
+            const parts = relPath.split('/');
+            if (parts.length < 1) return { prev: null, next: null };
+
+            const fileKey = parts.pop();
+            const parentPath = parts.join('/');
+
+            // Find parent folder children
+            const parentData = this.getFolderData(parentPath);
+            const children = parentData && parentData.children ? parentData.children : null;
+            if (!children) return { prev: null, next: null };
+
+            // Collect only files within this folder, in sidebar order
+            const indexKey = this.getFolderIndexKey(children);
+            const files = this.getSortedKeys(children)
+                .filter(k => children[k].type === 'file' && k !== indexKey)
+                .map(k => ({ key: k, item: children[k] }));
+
+            if (files.length === 0) return { prev: null, next: null };
+
+            const idx = files.findIndex(f => f.key === fileKey || f.item.path === path || f.item.path?.endsWith('/' + fileKey));
+            if (idx === -1) return { prev: null, next: null };
+
+            const mk = (entry) => {
+                if (!entry) return null;
+                const absPath = entry.item.path || (parentPath ? `${parentPath}/${entry.key}` : entry.key);
+                return {
+                    path: absPath,
+                    title: entry.item.name || this.stripDocumentExtension(entry.key)
+                };
+            };
+
+            return {
+                prev: mk(files[idx - 1] || null),
+                next: mk(files[idx + 1] || null)
+            };
+        } catch (e) {
+            console.warn('getPrevNextTutorial failed:', e);
+            return { prev: null, next: null };
+        }
+    }
+
+    generateTableOfContents(root = document.getElementById('main-content')) {
+        const tocContent = root.querySelector('.toc-content');
+        const headers = root.querySelectorAll('.markdown-content :is(h1, h2, h3, h4, h5, h6)');
+        
+        if (!tocContent || headers.length === 0) return;
+        
+        let tocHtml = '<ul class="toc-list">';
+        let lastLevel = 0;
+        
+        headers.forEach(header => {
+            const level = parseInt(header.tagName.charAt(1));
+            const text = header.textContent.trim();
+            const id = header.id || this.generateHeaderId(text);
+            
+            // Ensure header has an ID
+            if (!header.id) {
+                header.id = id;
+            }
+            
+            if (level > lastLevel) {
+                for (let i = lastLevel; i < level - 1; i++) {
+                    tocHtml += '<ul class="toc-list">';
+                }
+            } else if (level < lastLevel) {
+                for (let i = level; i < lastLevel; i++) {
+                    tocHtml += '</ul>';
+                }
+            }
+            
+            tocHtml += `
+                <li class="toc-item toc-level-${level}">
+                    <a href="#${id}" class="toc-link">
+                        <span class="toc-number">${level}</span>
+                        <span class="toc-text">${text}</span>
+                    </a>
+                </li>
+            `;
+            
+            lastLevel = level;
+        });
+        
+        // Close remaining lists
+        for (let i = 1; i < lastLevel; i++) {
+            tocHtml += '</ul>';
+        }
+        tocHtml += '</ul>';
+        
+        tocContent.innerHTML = tocHtml;
+        
+        // Add click handlers for smooth scrolling
+        tocContent.querySelectorAll('.toc-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const targetId = link.getAttribute('href');
+                const target = this.findElementById(root, this.decodeUriPart(targetId.slice(1)));
+                
+                if (target) {
+                    if (root.id === 'main-content') {
+                        this.recordAnchorJump(target.id);
+                    }
+                    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    
+                    // Highlight the target briefly
+                    target.style.backgroundColor = '#ffeb3b';
+                    target.style.transition = 'background-color 2s';
+                    setTimeout(() => {
+                        target.style.backgroundColor = '';
+                    }, 2000);
+                }
+            });
+        });
+    }
+
+    // Browsing History
+    loadBrowsingHistory() {
+        if (!this.browsingHistory) {
+            try {
+                this.browsingHistory = JSON.parse(localStorage.getItem('browsingHistory') || '[]');
+            } catch (error) {
+                console.warn('Failed to load browsing history:', error);
+                this.browsingHistory = [];
+            }
+        }
+        return this.browsingHistory;
+    }
+
+    saveBrowsingHistory() {
+        try {
+            localStorage.setItem('browsingHistory', JSON.stringify(this.browsingHistory || []));
+        } catch (error) {
+            console.warn('Failed to save browsing history:', error);
+        }
+    }
+
+    recordVisit(entry) {
+        // Called once a tutorial or folder is on screen; also the page reopened by the next session
+        const history = this.loadBrowsingHistory();
+        const visit = { path: entry.path, title: entry.title || entry.path, type: entry.type, visitedAt: Date.now() };
+        
+        // Reloading the page you are on only refreshes its time
+        if (history.length > 0 && history[0].path === visit.path) {
+            history.shift();
+        }
+        history.unshift(visit);
+        history.length = Math.min(history.length, MarkdownBuddy.BROWSING_HISTORY_LIMIT);
+        this.saveBrowsingHistory();
+        this.saveSession();
+    }
+
+    removeHistoryEntry(index) {
+        this.loadBrowsingHistory().splice(index, 1);
+        this.saveBrowsingHistory();
+        this.renderHistoryList();
+    }
+
+    clearBrowsingHistory() {
+        if (!confirm('Clear the whole browsing history?')) return;
+        
+        this.browsingHistory = [];
+        this.saveBrowsingHistory();
+        this.renderHistoryList();
+        this.showNotification('Browsing history cleared');
+    }
+
+    showHistoryPage() {
+        this.pushNavigationHistory(MarkdownBuddy.HISTORY_PATH);
+        
+        document.getElementById('main-content').innerHTML = `
+            <div class="folder-contents history-page">
+                <div class="folder-header">
+                    <div class="breadcrumb">${this.createBreadcrumb('History')}</div>
+                    <h1 class="folder-title"><i class="fas fa-history"></i> Browsing History</h1>
+                </div>
+                <div class="folder-body">
+                    <div class="history-page-toolbar">
+                        <input type="search" class="history-page-filter" placeholder="Search history" value="${this.escapeHtml(this.historyFilter)}"
+                               oninput="markdownBuddy.filterHistoryPage(this.value)" autocomplete="off" spellcheck="false">
+                        <label class="history-page-restore" title="Reopen the last tutorial or folder, at the same scroll position, when the app starts">
+                            <input type="checkbox" onchange="markdownBuddy.setRestoreSession(this.checked)"${this.settings.restoreSession ? ' checked' : ''}>
+                            Reopen last page on startup
+                        </label>
+                        <button class="btn-secondary" onclick="markdownBuddy.clearBrowsingHistory()" title="Forget every visited page">
+                            <i class="fas fa-trash"></i> Clear History
+                        </button>
+                    </div>
+                    <div class="history-page-list"></div>
+                </div>
+            </div>
+        `;
+        
+        this.updateActiveNavItem('');
+        this.currentPath = MarkdownBuddy.HISTORY_PATH;
+        this.renderHistoryList();
+        this.updateActiveTab();
+    }
+
+    filterHistoryPage(query) {
+        this.historyFilter = query;
+        this.renderHistoryList();
+    }
+
+    renderHistoryList() {
+        const list = document.querySelector('.history-page-list');
+        if (!list) return;
+        
+        const terms = this.historyFilter.toLowerCase().split(/\s+/).filter(Boolean);
+        const visits = this.loadBrowsingHistory()
+            .map((visit, index) => ({ visit, index }))
+            .filter(({ visit }) => {
+                const text = `${visit.title} ${visit.path}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            });
+        
+        if (visits.length === 0) {
+            list.innerHTML = `<p class="history-page-empty">${terms.length > 0 ? 'No visited pages match your search.' : 'Pages you open will be listed here.'}</p>`;
+            return;
+        }
+        
+        // One group per calendar day, newest first like the log itself
+        const days = new Map();
+        visits.forEach(item => {
+            const label = this.formatHistoryDay(item.visit.visitedAt);
+            if (!days.has(label)) days.set(label, []);
+            days.get(label).push(item);
+        });
+        
+        let html = '';
+        days.forEach((items, label) => {
+            html += `
+                <div class="history-day">
+                    <h3>${label}</h3>
+                    <ul>
+                        ${items.map(({ visit, index }) => `
+                            <li class="history-item" onclick="markdownBuddy.openHistoryEntry(${index})" title="${this.escapeHtml(visit.path)}">
+                                <span class="history-time">${new Date(visit.visitedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                                <i class="fas ${visit.type === 'folder' ? 'fa-folder' : 'fa-file-alt'}"></i>
+                                <span class="history-title">${this.escapeHtml(visit.title)}</span>
+                                <small>${this.escapeHtml(this.getNavKeyForPath(visit.path) || visit.path)}</small>
+                                <button class="history-remove" onclick="event.stopPropagation(); markdownBuddy.removeHistoryEntry(${index})" title="Remove from history">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        });
+        list.innerHTML = html;
+    }
+
+    formatHistoryDay(timestamp) {
+        const day = new Date(timestamp);
+        day.setHours(0, 0, 0, 0);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        const daysAgo = Math.round((today - day) / 86400000);
+        if (daysAgo === 0) return 'Today';
+        if (daysAgo === 1) return 'Yesterday';
+        return day.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    async openHistoryEntry(index) {
+        const visit = this.loadBrowsingHistory()[index];
+        if (!visit) return;
+        
+        if (!this.isHistoryEntryAvailable(visit)) {
+            this.showNotification(`Not found in the library: ${visit.title}`, true);
+            return;
+        }
+        
+        if (visit.type === 'folder') {
+            this.showFolderContents(visit.path, visit.title);
+        } else {
+            await this.loadTutorial(visit.path, visit.title);
+        }
+    }
+
+    isHistoryEntryAvailable(visit) {
+        if (visit.type === 'folder') return !!this.getNavigationEntry(visit.path);
+        return !!this.getNavigationEntry(this.getNavKeyForPath(visit.path));
+    }
+
+    // Session Restore
+    setRestoreSession(enabled) {
+        this.settings.restoreSession = enabled;
+        this.saveSettings();
+        this.showNotification(enabled ? 'The last page will reopen on startup' : 'The app will start on the home page');
+    }
+
+    setupSessionTracking() {
+        if (this._sessionTracking) return;
+        this._sessionTracking = true;
+        
+        // Listening starts before initializeApp; until the state is loaded there is nothing of ours to save,
+        // and an instance handing its launch to a running window must not overwrite that window's state
+        let scrollTimeout = null;
+        window.addEventListener('scroll', () => {
+            clearTimeout(scrollTimeout);
+            scrollTimeout = setTimeout(() => {
+                if (!this.stateLoaded) return;
+                this.saveSession();
+                this.saveTabs();
+            }, 500);
+        }, { passive: true });
+        window.addEventListener('beforeunload', () => {
+            if (!this.stateLoaded) return;
+            this.saveSession();
+            this.saveTabs();
+        });
+    }
+
+    saveSession() {
+        // Only tutorials and folders are reopened; other pages leave the last one in place
+        const type = this.currentPath ? this.determineCurrentPageType() : 'home';
+        if (type !== 'home' && type !== 'tutorial' && type !== 'folder') return;
+        
+        const session = type === 'home' ? { type } : {
+            type,
+            path: this.currentPath,
+            title: document.querySelector('.tutorial-title')?.textContent ||
+                document.querySelector('.folder-title')?.textContent || this.currentPath,
+            scrollY: window.pageYOffset
+        };
+        try {
+            localStorage.setItem('lastSession', JSON.stringify(session));
+        } catch (error) {
+            console.warn('Failed to save session:', error);
+        }
+    }
+
+    async restoreLastSession() {
+        if (!this.settings.restoreSession) return false;
+        
+        let session = null;
+        try {
+            session = JSON.parse(localStorage.getItem('lastSession') || 'null');
+        } catch (error) {
+            console.warn('Failed to read last session:', error);
+        }
+        if (!session || !session.path || !this.isHistoryEntryAvailable(session)) return false;
+        
+        if (session.type === 'folder') {
+            this.showFolderContents(session.path, session.title);
+        } else {
+            await this.loadTutorial(session.path, session.title);
+        }
+        window.scrollTo(0, session.scrollY || 0);
+        return true;
+    }
+
+    // Tabs
+    createTab(entry = { path: '', title: 'Home', type: 'home' }) {
+        return {
+            id: `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            entry,
+            back: [],
+            forward: []
+        };
+    }
+
+    getActiveTab() {
+        return this.tabs.find(tab => tab.id === this.activeTabId) || null;
+    }
+
+    captureActiveTab() {
+        // Only the active tab is live: its page, position and history are copied in before it is left or saved
+        const tab = this.getActiveTab();
+        if (!tab) return;
+        
+        const entry = this.getCurrentHistoryEntry();
+        if (entry) {
+            tab.entry = entry;
+        }
+        tab.back = this.navigationHistory;
+        tab.forward = this.forwardHistory;
+    }
+
+    updateActiveTab() {
+        this.captureActiveTab();
+        this.renderTabs();
+        this.saveTabs();
+    }
+
+    setupTabs() {
+        const tabBar = document.getElementById('tabBar');
+        if (!tabBar || this._tabsReady) return;
+        this._tabsReady = true;
+        
+        tabBar.addEventListener('click', (event) => {
+            const tab = event.target.closest('.tab');
+            if (event.target.closest('.tab-new')) {
+                this.openInNewTab({ path: '', title: 'Home', type: 'home' }, { background: false });
+            } else if (tab && event.target.closest('.tab-close')) {
+                this.closeTab(tab.dataset.tabId);
+            } else if (tab) {
+                this.activateTab(tab.dataset.tabId);
+            }
+        });
+        tabBar.addEventListener('auxclick', (event) => {
+            const tab = event.target.closest('.tab');
+            if (tab && event.button === 1) {
+                event.preventDefault();
+                this.closeTab(tab.dataset.tabId);
+            }
+        });
+        tabBar.addEventListener('contextmenu', (event) => {
+            const tab = event.target.closest('.tab');
+            if (!tab) return;
+            event.preventDefault();
+            this.showTabContextMenu(event, tab.dataset.tabId);
+        });
+        
+        // Reordering by drag and drop
+        tabBar.addEventListener('dragstart', (event) => {
+            const tab = event.target.closest('.tab');
+            if (!tab) return;
+            event.dataTransfer.setData(MarkdownBuddy.TAB_DRAG_TYPE, tab.dataset.tabId);
+            event.dataTransfer.effectAllowed = 'move';
+            tab.classList.add('dragging');
+        });
+        tabBar.addEventListener('dragend', (event) => {
+            event.target.closest('.tab')?.classList.remove('dragging');
+            tabBar.querySelectorAll('.drop-before').forEach(tab => tab.classList.remove('drop-before'));
+        });
+        tabBar.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes(MarkdownBuddy.TAB_DRAG_TYPE)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            const tab = event.target.closest('.tab');
+            tabBar.querySelectorAll('.drop-before').forEach(other => other !== tab && other.classList.remove('drop-before'));
+            tab?.classList.add('drop-before');
+        });
+        tabBar.addEventListener('drop', (event) => {
+            const id = event.dataTransfer.getData(MarkdownBuddy.TAB_DRAG_TYPE);
+            if (!id) return;
+            event.preventDefault();
+            this.moveTab(id, event.target.closest('.tab')?.dataset.tabId || null);
+        });
+        
+        // Middle-click or Ctrl/Cmd+click on anything that opens a page opens it in a new tab instead
+        const openFromEvent = (event) => {
+            const target = this.getTabTarget(event.target);
+            if (!target) return;
+            event.preventDefault();
+            event.stopPropagation();
+            this.openInNewTab(target, { background: !event.shiftKey });
+        };
+        document.addEventListener('click', (event) => {
+            if ((event.ctrlKey || event.metaKey) && event.button === 0) {
+                openFromEvent(event);
+            }
+        }, true);
+        document.addEventListener('auxclick', (event) => {
+            if (event.button === 1) {
+                openFromEvent(event);
+            }
+        });
+        document.addEventListener('mousedown', (event) => {
+            // No autoscroll cursor when middle-clicking a link
+            if (event.button === 1 && this.getTabTarget(event.target)) {
+                event.preventDefault();
+            }
+        });
+        
+        this.renderTabs();
+    }
+
+    getTabTarget(element) {
+        // What a sidebar item, card or search result would open, as a history entry
+        if (!element || !element.closest || element.closest('#tabBar')) return null;
+        
+        const navItem = element.closest('.nav-file, .nav-folder');
+        if (navItem) {
+            const entry = this.getNavigationEntry(navItem.dataset.navKey);
+            if (!entry) return null;
+            return entry.type === 'folder'
+                ? { path: navItem.dataset.navKey, title: entry.name, type: 'folder' }
+                : { path: entry.path || navItem.dataset.navKey, title: entry.name, type: 'tutorial' };
+        }
+        
+        const card = element.closest('[data-open-path]');
+        if (card) {
+            return { path: card.dataset.openPath, title: card.dataset.openTitle, type: card.dataset.openType };
+        }
+        
+        const result = element.closest('.search-result-item[data-path], .search-result[data-path]');
+        if (result) {
+            return {
+                path: result.dataset.path,
+                title: (result.querySelector('.search-result-title, .result-name')?.textContent || result.dataset.path).trim(),
+                type: result.dataset.type === 'folder' ? 'folder' : 'tutorial',
+                anchor: result.dataset.anchor || null
+            };
+        }
+        
+        const pageItem = element.closest('.search-page-item');
+        const pageResult = pageItem && this.searchPage && this.searchPage.results[pageItem.dataset.resultIndex];
+        if (pageResult) {
+            const snippet = element.closest('[data-match-index]');
+            const match = pageResult.matches[snippet ? snippet.dataset.matchIndex : 0];
+            return { path: pageResult.tutorial.fullPath, title: pageResult.tutorial.name, type: 'tutorial', anchor: match ? match.anchor || null : null };
+        }
+        
+        return null;
+    }
+
+    openInNewTab(entry, options = {}) {
+        // Inserted right after the active tab; background tabs render when first shown
+        const tab = this.createTab(entry);
+        const index = this.tabs.findIndex(other => other.id === this.activeTabId);
+        this.tabs.splice(index + 1, 0, tab);
+        
+        if (options.background === false) {
+            return this.activateTab(tab.id);
+        }
+        this.renderTabs();
+        this.saveTabs();
+    }
+
+    async activateTab(id) {
+        const tab = this.tabs.find(other => other.id === id);
+        if (!tab || id === this.activeTabId || this.isNavigatingBack) return;
+        
+        this.captureActiveTab();
+        this.activeTabId = id;
+        this.navigationHistory = tab.back;
+        this.forwardHistory = tab.forward;
+        this.renderTabs();
+        
+        await this.showActiveTab();
+        this.updateHistoryButtons();
+        this.saveTabs();
+    }
+
+    async showActiveTab() {
+        const tab = this.getActiveTab();
+        if (!tab) return false;
+        
+        // Showing a tab's page is not a navigation of its own
+        this.isNavigatingBack = true;
         try {
-            // Normalize path (strip leading resources/ if present)
-            const relPath = path.startsWith('resources/') ? path.replace(/^resources\/tutorials\//, '') : path;
-            const parts = relPath.split('/');
-            if (parts.length < 1) return { prev: null, next: null };
+            await this.showHistoryEntry(tab.entry);
+        } catch (error) {
+            console.error('Failed to show tab:', tab.entry, error);
+        } finally {
+            this.isNavigatingBack = false;
+        }
+        this.updateActiveTab();
+        return true;
+    }
 
-            const fileKey = parts.pop();
-            const parentPath = parts.join('/');
+    async closeTab(id) {
+        const index = this.tabs.findIndex(tab => tab.id === id);
+        if (index === -1 || this.tabs.length === 1) return;
+        
+        this.captureActiveTab();
+        const [tab] = this.tabs.splice(index, 1);
+        this.closedTabs.push({ tab, index });
+        if (this.closedTabs.length > MarkdownBuddy.CLOSED_TABS_LIMIT) {
+            this.closedTabs.shift();
+        }
+        
+        if (id === this.activeTabId) {
+            // Like browsers, focus moves to the tab that took its place
+            this.activeTabId = null;
+            await this.activateTab(this.tabs[Math.min(index, this.tabs.length - 1)].id);
+        } else {
+            this.renderTabs();
+            this.saveTabs();
+        }
+    }
 
-            // Find parent folder children
-            const parentData = this.getFolderData(parentPath);
-            const children = parentData && parentData.children ? parentData.children : null;
-            if (!children) return { prev: null, next: null };
+    closeOtherTabs(id) {
+        if (!this.tabs.some(tab => tab.id === id)) return;
+        
+        this.captureActiveTab();
+        this.tabs.forEach((tab, index) => {
+            if (tab.id !== id) this.closedTabs.push({ tab, index });
+        });
+        this.closedTabs.splice(0, Math.max(0, this.closedTabs.length - MarkdownBuddy.CLOSED_TABS_LIMIT));
+        this.tabs = this.tabs.filter(tab => tab.id === id);
+        
+        if (id !== this.activeTabId) {
+            this.activeTabId = null;
+            return this.activateTab(id);
+        }
+        this.renderTabs();
+        this.saveTabs();
+    }
 
-            // Collect only files within this folder
-            const files = Object.keys(children)
-                .filter(k => children[k].type === 'file')
-                .map(k => ({ key: k, item: children[k] }));
+    reopenClosedTab() {
+        const closed = this.closedTabs.pop();
+        if (!closed) {
+            this.showNotification('No recently closed tabs');
+            return;
+        }
+        
+        this.tabs.splice(Math.min(closed.index, this.tabs.length), 0, closed.tab);
+        return this.activateTab(closed.tab.id);
+    }
 
-            if (files.length === 0) return { prev: null, next: null };
+    cycleTab(direction) {
+        const index = this.tabs.findIndex(tab => tab.id === this.activeTabId);
+        const next = this.tabs[(index + direction + this.tabs.length) % this.tabs.length];
+        return this.activateTab(next.id);
+    }
 
-            // Sort by display name for stable navigation
-            files.sort((a, b) => (a.item.name || a.key).localeCompare(b.item.name || b.key, undefined, { sensitivity: 'base' }));
+    moveTab(id, beforeId) {
+        const index = this.tabs.findIndex(tab => tab.id === id);
+        if (index === -1 || id === beforeId) return;
+        
+        const [tab] = this.tabs.splice(index, 1);
+        const beforeIndex = beforeId ? this.tabs.findIndex(other => other.id === beforeId) : -1;
+        this.tabs.splice(beforeIndex === -1 ? this.tabs.length : beforeIndex, 0, tab);
+        this.renderTabs();
+        this.saveTabs();
+    }
 
-            const idx = files.findIndex(f => f.key === fileKey || f.item.path === path || f.item.path?.endsWith('/' + fileKey));
-            if (idx === -1) return { prev: null, next: null };
+    renderTabs() {
+        const tabBar = document.getElementById('tabBar');
+        if (!tabBar) return;
+        
+        tabBar.innerHTML = this.tabs.map(tab => `
+            <div class="tab${tab.id === this.activeTabId ? ' active' : ''}" role="tab" draggable="true" data-tab-id="${tab.id}"
+                 aria-selected="${tab.id === this.activeTabId}" title="${this.escapeHtml(tab.entry.path || tab.entry.title)}">
+                <i class="fas ${MarkdownBuddy.HISTORY_ENTRY_ICONS[tab.entry.type] || 'fa-file-alt'}"></i>
+                <span class="tab-title">${this.escapeHtml(tab.entry.title)}</span>
+                ${this.tabs.length > 1 ? '<button class="tab-close" title="Close tab (Ctrl/Cmd+W)"><i class="fas fa-times"></i></button>' : ''}
+            </div>
+        `).join('') + `
+            <button class="tab-new" title="New tab"><i class="fas fa-plus"></i></button>
+        `;
+        tabBar.querySelector('.tab.active')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
 
-            const mk = (entry) => {
-                if (!entry) return null;
-                const absPath = entry.item.path || (parentPath ? `${parentPath}/${entry.key}` : entry.key);
-                return {
-                    path: absPath,
-                    title: entry.item.name || entry.key.replace(/\.md$/, '')
-                };
-            };
+    showTabContextMenu(event, id) {
+        this.hideContextMenu();
+        
+        const menuItems = [];
+        if (this.tabs.length > 1) {
+            menuItems.push(
+                { icon: 'fa-times', text: 'Close Tab', action: () => this.closeTab(id) },
+                { icon: 'fa-times', text: 'Close Other Tabs', action: () => this.closeOtherTabs(id) }
+            );
+        }
+        if (this.closedTabs.length > 0) {
+            menuItems.push({ icon: 'fa-undo', text: 'Reopen Closed Tab', action: () => this.reopenClosedTab() });
+        }
+        menuItems.push({ icon: 'fa-plus', text: 'New Tab', action: () => this.openInNewTab({ path: '', title: 'Home', type: 'home' }, { background: false }) });
+        
+        this.renderContextMenu(event, menuItems);
+    }
 
-            return {
-                prev: mk(files[idx - 1] || null),
-                next: mk(files[idx + 1] || null)
-            };
-        } catch (e) {
-            console.warn('getPrevNextTutorial failed:', e);
-            return { prev: null, next: null };
+    saveTabs() {
+        this.captureActiveTab();
+        try {
+            localStorage.setItem('openTabs', JSON.stringify({ activeTabId: this.activeTabId, tabs: this.tabs }));
+        } catch (error) {
+            console.warn('Failed to save tabs:', error);
         }
     }
 
-    generateTableOfContents() {
-        const tocContent = document.querySelector('.toc-content');
-        const headers = document.querySelectorAll('.markdown-content h1, .markdown-content h2, .markdown-content h3, .markdown-content h4, .markdown-content h5, .markdown-content h6');
-        
-        if (!tocContent || headers.length === 0) return;
-        
-        let tocHtml = '<ul class="toc-list">';
-        let lastLevel = 0;
+    loadTabs(addTab = false) {
+        // A single tab is left to the session restore option; several come back as they were
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('openTabs') || 'null');
+        } catch (error) {
+            console.warn('Failed to load tabs:', error);
+        }
         
-        headers.forEach(header => {
-            const level = parseInt(header.tagName.charAt(1));
-            const text = header.textContent.trim();
-            const id = header.id || this.generateHeaderId(text);
-            
-            // Ensure header has an ID
-            if (!header.id) {
-                header.id = id;
-            }
-            
-            if (level > lastLevel) {
-                for (let i = lastLevel; i < level - 1; i++) {
-                    tocHtml += '<ul class="toc-list">';
-                }
-            } else if (level < lastLevel) {
-                for (let i = level; i < lastLevel; i++) {
-                    tocHtml += '</ul>';
-                }
+        const restored = !!(saved && Array.isArray(saved.tabs) && saved.tabs.length > 1);
+        if (restored) {
+            this.tabs = saved.tabs;
+            this.activeTabId = this.tabs.some(tab => tab.id === saved.activeTabId) ? saved.activeTabId : this.tabs[0].id;
+            if (addTab) {
+                const tab = this.createTab();
+                this.tabs.push(tab);
+                this.activeTabId = tab.id;
             }
             
-            tocHtml += `
-                <li class="toc-item toc-level-${level}">
-                    <a href="#${id}" class="toc-link">
-                        <span class="toc-number">${level}</span>
-                        <span class="toc-text">${text}</span>
-                    </a>
-                </li>
-            `;
+            const active = this.getActiveTab();
+            this.navigationHistory = active.back;
+            this.forwardHistory = active.forward;
+            this.updateHistoryButtons();
+        }
+        this.renderTabs();
+        return restored && !addTab;
+    }
+
+    // Split View
+    setupSplitView() {
+        const pane = document.getElementById('splitPane');
+        if (!pane || this._splitViewReady) return;
+        this._splitViewReady = true;
+        
+        pane.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-split-action]');
+            if (!action) return;
             
-            lastLevel = level;
+            if (action.dataset.splitAction === 'close') {
+                this.closeSplitView();
+            } else if (action.dataset.splitAction === 'orientation') {
+                this.setSplitOrientation(this.settings.splitOrientation === 'vertical' ? 'horizontal' : 'vertical');
+            } else if (action.dataset.splitAction === 'sync') {
+                this.toggleSplitScrollSync();
+            } else if (action.dataset.splitAction === 'main') {
+                this.loadTutorial(this.splitView.path, this.splitView.title);
+            }
         });
         
-        // Close remaining lists
-        for (let i = 1; i < lastLevel; i++) {
-            tocHtml += '</ul>';
+        // Synchronized scrolling follows whichever side the reader moves
+        pane.querySelector('.split-pane-body').addEventListener('scroll', () => this.syncSplitScroll('pane'), { passive: true });
+        window.addEventListener('scroll', () => this.syncSplitScroll('main'), { passive: true });
+        window.addEventListener('resize', () => this.applySplitLayout());
+    }
+
+    canSplitVertically() {
+        return window.innerWidth >= MarkdownBuddy.SPLIT_VIEW_MIN_WIDTH;
+    }
+
+    toggleSplitView() {
+        if (this.splitView) {
+            this.closeSplitView();
+            return;
         }
-        tocHtml += '</ul>';
         
-        tocContent.innerHTML = tocHtml;
+        // Start with the open tutorial, to read another section of it
+        if (this.determineCurrentPageType() === 'tutorial' && this.currentPath) {
+            this.openInSplitView(this.currentPath, document.querySelector('.tutorial-title')?.textContent.trim());
+        } else {
+            this.showNotification('Right-click a tutorial and choose "Open in Split View"');
+        }
+    }
+
+    async openInSplitView(path, title, anchor = null) {
+        const pane = document.getElementById('splitPane');
+        if (!pane || !path) return;
         
-        // Add click handlers for smooth scrolling
-        tocContent.querySelectorAll('.toc-link').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetId = link.getAttribute('href');
-                const target = document.querySelector(targetId);
-                
-                if (target) {
-                    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                    
-                    // Highlight the target briefly
-                    target.style.backgroundColor = '#ffeb3b';
-                    target.style.transition = 'background-color 2s';
-                    setTimeout(() => {
-                        target.style.backgroundColor = '';
-                    }, 2000);
+        if (!this.splitView) {
+            this.splitView = { path: null, title: '', syncScroll: false, imageUrls: [] };
+        }
+        pane.hidden = false;
+        this.applySplitLayout();
+        const request = ++this.splitViewRequest;
+        
+        const body = pane.querySelector('.split-pane-body');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-pulse"></i>
+                <p>Loading tutorial...</p>
+            </div>
+        `;
+        
+        let markdownContent;
+        try {
+            markdownContent = this.externalContents.has(path)
+                ? this.externalContents.get(path)
+                : await this.readLibraryFile(path);
+        } catch (error) {
+            console.error('Failed to load split view document:', path, error);
+            if (!this.splitView || request !== this.splitViewRequest) return;
+            body.innerHTML = `<div class="error"><i class="fas fa-exclamation-triangle"></i> Unable to load ${this.escapeHtml(path)}</div>`;
+            return;
+        }
+        
+        // Closed, or another document opened, while this one was loading
+        if (!this.splitView || request !== this.splitViewRequest) return;
+        
+        const { meta, html } = this.renderDocument(markdownContent, path);
+        this.splitView.path = path;
+        this.splitView.title = meta && meta.title ? meta.title : (title || path.split('/').pop());
+        pane.querySelector('.split-pane-title').textContent = this.splitView.title;
+        pane.querySelector('.split-pane-title').title = path;
+        
+        // Same wiring as the main view, scoped to the pane
+        body.innerHTML = `
+            <details class="table-of-contents split-pane-toc">
+                <summary><i class="fas fa-list"></i> Table of Contents</summary>
+                <div class="toc-content"></div>
+            </details>
+            <div class="markdown-content">
+                ${html}
+            </div>
+        `;
+        this.ensureHeaderIds(pane);
+        this.generateTableOfContents(pane);
+        this.initializeCodeBlocks(pane);
+        this.setupAnchorNavigation(pane);
+        const documentContainer = body.querySelector('.markdown-content');
+        this.setupDocumentLinks(documentContainer, path, (baseDir, href) => this.followSplitLink(baseDir, href));
+        this.resolveDocumentImages(documentContainer, path, this.splitView.imageUrls);
+        
+        body.scrollTop = 0;
+        if (anchor) {
+            this.scrollToHeading(anchor, pane);
+        }
+        this.updateSplitControls();
+    }
+
+    followSplitLink(baseDir, href) {
+        // Links to other tutorials stay in the pane; anything else opens in the main view
+        const [target, anchor] = href.split('#');
+        const resolved = this.resolveRelativePath(baseDir, this.decodeUriPart(target.split('?')[0]));
+        const navKey = this.getNavKeyForPath(resolved);
+        const entry = navKey ? this.getNavigationEntry(navKey) : null;
+        
+        if (entry && entry.type === 'file') {
+            this.openInSplitView(entry.path || navKey, entry.name, anchor);
+        } else {
+            this.followRelativeLink(baseDir, href);
+        }
+    }
+
+    closeSplitView() {
+        const pane = document.getElementById('splitPane');
+        if (!this.splitView || !pane) return;
+        
+        this.releaseDocumentImages(this.splitView.imageUrls);
+        this.splitView = null;
+        pane.hidden = true;
+        pane.querySelector('.split-pane-body').innerHTML = '';
+        this.applySplitLayout();
+        this.updateSplitControls();
+    }
+
+    setSplitOrientation(orientation) {
+        this.settings.splitOrientation = orientation;
+        this.saveSettings();
+        this.applySplitLayout();
+        this.updateSplitControls();
+    }
+
+    applySplitLayout() {
+        // Side by side needs a wide window; narrower ones stack the panes instead
+        const orientation = this.settings.splitOrientation === 'vertical' && this.canSplitVertically() ? 'vertical' : 'horizontal';
+        document.body.classList.toggle('split-vertical', !!this.splitView && orientation === 'vertical');
+        document.body.classList.toggle('split-horizontal', !!this.splitView && orientation === 'horizontal');
+    }
+
+    toggleSplitScrollSync() {
+        if (!this.splitView) return;
+        this.splitView.syncScroll = !this.splitView.syncScroll;
+        this.updateSplitControls();
+        if (this.splitView.syncScroll) {
+            this.syncSplitScroll('main');
+        }
+    }
+
+    syncSplitScroll(source) {
+        // Scrolling one side moves the other to the same fraction; the side that started it leads until scrolling stops
+        if (!this.splitView || !this.splitView.syncScroll) return;
+        if (this._splitScrollLeader && this._splitScrollLeader !== source) return;
+        this._splitScrollLeader = source;
+        clearTimeout(this._splitScrollTimer);
+        this._splitScrollTimer = setTimeout(() => { this._splitScrollLeader = null; }, 150);
+        
+        const body = document.querySelector('#splitPane .split-pane-body');
+        const mainRange = document.documentElement.scrollHeight - window.innerHeight;
+        const paneRange = body.scrollHeight - body.clientHeight;
+        if (mainRange <= 0 || paneRange <= 0) return;
+        
+        if (source === 'main') {
+            body.scrollTop = Math.round(window.pageYOffset / mainRange * paneRange);
+        } else {
+            window.scrollTo(0, Math.round(body.scrollTop / paneRange * mainRange));
+        }
+    }
+
+    updateSplitControls() {
+        const splitBtn = document.getElementById('appSplitBtn');
+        splitBtn?.classList.toggle('active', !!this.splitView);
+        
+        const pane = document.getElementById('splitPane');
+        if (!pane || !this.splitView) return;
+        
+        const sync = pane.querySelector('[data-split-action="sync"]');
+        sync.classList.toggle('active', this.splitView.syncScroll);
+        sync.title = this.splitView.syncScroll ? 'Stop synchronized scrolling' : 'Synchronize scrolling with the main view';
+        pane.querySelector('[data-split-action="orientation"]').title = this.settings.splitOrientation === 'vertical'
+            ? 'Stack the panes'
+            : 'Show the panes side by side';
+    }
+
+    // Navigation History Management
+    setupHistoryButtons() {
+        const buttons = {
+            back: document.getElementById('appPreviousBtn'),
+            forward: document.getElementById('appForwardBtn')
+        };
+        
+        Object.entries(buttons).forEach(([direction, button]) => {
+            if (!button) return;
+            
+            // Holding the button opens the list of pages instead of moving one step
+            let holdTimer = null;
+            let held = false;
+            button.addEventListener('mousedown', (event) => {
+                if (event.button !== 0) return;
+                held = false;
+                holdTimer = setTimeout(() => {
+                    held = true;
+                    const rect = button.getBoundingClientRect();
+                    this.showHistoryMenu(direction, { clientX: rect.left, clientY: rect.bottom + 4 });
+                }, MarkdownBuddy.HISTORY_MENU_HOLD_MS);
+            });
+            ['mouseup', 'mouseleave'].forEach(type => button.addEventListener(type, () => clearTimeout(holdTimer)));
+            
+            button.addEventListener('click', (event) => {
+                if (held) {
+                    // Keep the menu the hold just opened
+                    event.stopPropagation();
+                    held = false;
+                    return;
                 }
+                direction === 'back' ? this.goBack() : this.goForward();
+            });
+            button.addEventListener('contextmenu', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.showHistoryMenu(direction, event);
             });
         });
+        
+        // Back/forward buttons of the mouse
+        if (!this._mouseHistoryButtons) {
+            this._mouseHistoryButtons = true;
+            window.addEventListener('mouseup', (event) => {
+                if (event.button === 3 || event.button === 4) {
+                    event.preventDefault();
+                    event.button === 3 ? this.goBack() : this.goForward();
+                }
+            });
+        }
+    }
+
+    getCurrentHistoryEntry() {
+        // Home only counts once it is on screen, not while the app is still starting
+        if (!this.currentPath && !document.querySelector('#main-content :is(.home-stats, .welcome-content)')) {
+            return null;
+        }
+        
+        const type = this.determineCurrentPageType();
+        const anchor = this.currentAnchor && this.currentAnchor.path === this.currentPath ? this.currentAnchor.anchor : null;
+        const heading = document.querySelector('.tutorial-title') || document.querySelector('.folder-title');
+        return {
+            path: this.currentPath,
+            title: type === 'home' || !heading ? 'Home' : heading.textContent.trim(),
+            type,
+            anchor,
+            scrollY: window.pageYOffset
+        };
+    }
+
+    pushNavigationHistory(targetPath) {
+        // Called by every page before it replaces the current one
+        if (this.isNavigatingBack || targetPath === this.currentPath) return;
+        this.addToNavigationHistory(this.getCurrentHistoryEntry());
+    }
+
+    recordAnchorJump(anchor) {
+        // In-page jumps are steps of their own, so Back returns to where the reader was
+        if (!this.isNavigatingBack) {
+            this.addToNavigationHistory(this.getCurrentHistoryEntry());
+        }
+        this.currentAnchor = { path: this.currentPath, anchor };
     }
 
-    // Navigation History Management
     addToNavigationHistory(entry) {
         // Don't add during back navigation or if entry is invalid
-        if (this.isNavigatingBack || !entry.path) {
+        if (this.isNavigatingBack || !entry) {
             return;
         }
         
+        // Going somewhere new drops the pages Back had left
+        this.forwardHistory = [];
+        
         // Don't add duplicates
-        if (this.navigationHistory.length > 0 && 
-            this.navigationHistory[this.navigationHistory.length - 1].path === entry.path) {
+        const last = this.navigationHistory[this.navigationHistory.length - 1];
+        if (last && last.path === entry.path && last.anchor === entry.anchor) {
+            last.scrollY = entry.scrollY;
+            this.updateHistoryButtons();
             return;
         }
         
@@ -2818,61 +6623,118 @@ class MarkdownBuddy {
             this.navigationHistory.shift();
         }
         
-        // Update previous button state
-        this.updatePreviousButton();
+        // Update back/forward button state
+        this.updateHistoryButtons();
     }
     
-    updatePreviousButton() {
-        const previousBtn = document.getElementById('appPreviousBtn');
-        if (previousBtn) {
-            const canGoBack = this.navigationHistory.length > 0;
-            previousBtn.disabled = !canGoBack;
-            
-            console.log('Updating previous button - history length:', this.navigationHistory.length, 'canGoBack:', canGoBack);
-            
-            if (canGoBack) {
-                const lastEntry = this.navigationHistory[this.navigationHistory.length - 1];
-                previousBtn.title = `Go back to: ${lastEntry.title}`;
-                console.log('Previous button enabled - last entry:', lastEntry);
-            } else {
-                previousBtn.title = 'No previous page';
-                console.log('Previous button disabled - no history');
-            }
-        } else {
-            console.warn('Previous button not found in DOM');
-        }
+    updateHistoryButtons() {
+        const buttons = [
+            { button: document.getElementById('appPreviousBtn'), stack: this.navigationHistory, label: 'Go back to', empty: 'No previous page' },
+            { button: document.getElementById('appForwardBtn'), stack: this.forwardHistory, label: 'Go forward to', empty: 'No next page' }
+        ];
+        
+        buttons.forEach(({ button, stack, label, empty }) => {
+            if (!button) return;
+            
+            const next = stack[stack.length - 1];
+            button.disabled = !next;
+            button.title = next ? `${label}: ${this.getHistoryEntryLabel(next)} (right-click for more)` : empty;
+        });
     }
-    
+
+    getHistoryEntryLabel(entry) {
+        return entry.anchor ? `${entry.title} › #${entry.anchor}` : entry.title;
+    }
+
+    showHistoryMenu(direction, event) {
+        this.hideContextMenu();
+        
+        // Closest page first, like the stacks are popped
+        const stack = direction === 'back' ? this.navigationHistory : this.forwardHistory;
+        const entries = stack.slice(-MarkdownBuddy.HISTORY_MENU_SIZE).reverse();
+        if (entries.length === 0) return;
+        
+        const menuItems = entries.map((entry, index) => ({
+            icon: MarkdownBuddy.HISTORY_ENTRY_ICONS[entry.type] || 'fa-file-alt',
+            text: this.escapeHtml(this.getHistoryEntryLabel(entry)),
+            action: () => this.traverseHistory(direction === 'back' ? -(index + 1) : index + 1)
+        }));
+        menuItems.push({ separator: true }, {
+            icon: 'fa-history',
+            text: 'Show Full History',
+            action: () => this.showHistoryPage()
+        });
+        
+        this.renderContextMenu(event, menuItems);
+    }
+
     goBack() {
-        if (this.navigationHistory.length === 0) {
+        return this.traverseHistory(-1);
+    }
+
+    goForward() {
+        return this.traverseHistory(1);
+    }
+
+    async traverseHistory(delta) {
+        // Negative deltas go back, positive ones forward; the pages passed over move to the other stack
+        if (this.isNavigatingBack) return;
+        
+        const from = delta < 0 ? this.navigationHistory : this.forwardHistory;
+        const to = delta < 0 ? this.forwardHistory : this.navigationHistory;
+        const steps = Math.min(Math.abs(delta), from.length);
+        if (steps === 0) {
             console.log('No navigation history available');
             return;
         }
         
-        // Set flag to prevent adding to history during back navigation
-        this.isNavigatingBack = true;
+        const current = this.getCurrentHistoryEntry();
+        if (current) {
+            to.push(current);
+        }
+        for (let i = 1; i < steps; i++) {
+            to.push(from.pop());
+        }
+        const target = from.pop();
+        console.log('Navigating through history to:', target);
         
-        // Get the last entry from history
-        const previousEntry = this.navigationHistory.pop();
-        console.log('Navigating back to:', previousEntry);
+        // Set flag to prevent adding to history while the page changes
+        this.isNavigatingBack = true;
+        try {
+            await this.showHistoryEntry(target);
+        } catch (error) {
+            console.error('Failed to navigate through history:', error);
+        } finally {
+            this.isNavigatingBack = false;
+            this.updateHistoryButtons();
+        }
+    }
+
+    async showHistoryEntry(entry) {
+        const samePage = entry.path === this.currentPath && entry.type === this.determineCurrentPageType();
         
-        // Navigate to the previous page
-        if (previousEntry.type === 'home' || !previousEntry.path) {
+        if (samePage && (entry.type === 'tutorial' || entry.type === 'folder')) {
+            // A heading jump within the open page: only the position changes
+        } else if (entry.type === 'home' || !entry.path) {
             this.showWelcomeContent();
-        } else if (previousEntry.type === 'folder') {
-            // Extract folder name from path
-            const folderName = previousEntry.title;
-            this.showFolderContents(previousEntry.path, folderName);
+        } else if (entry.type === 'link-report') {
+            this.showLinkReport();
+        } else if (entry.type === 'search-results') {
+            this.showSearchResultsPage(entry.path.slice(MarkdownBuddy.SEARCH_PAGE_PREFIX.length));
+        } else if (entry.type === 'history') {
+            this.showHistoryPage();
+        } else if (entry.type === 'folder') {
+            this.showFolderContents(entry.path, entry.title);
         } else {
-            // It's a tutorial
-            this.loadTutorial(previousEntry.path, previousEntry.title);
+            await this.loadTutorial(entry.path, entry.title);
         }
         
-        // Reset flag after a short delay to ensure navigation is complete
-        setTimeout(() => {
-            this.isNavigatingBack = false;
-            this.updatePreviousButton();
-        }, 100);
+        this.currentAnchor = entry.anchor ? { path: entry.path, anchor: entry.anchor } : null;
+        if (entry.scrollY === undefined && entry.anchor) {
+            this.scrollToHeading(entry.anchor);
+        } else {
+            window.scrollTo(0, entry.scrollY || 0);
+        }
     }
     
     determineCurrentPageType() {
@@ -2885,12 +6747,24 @@ class MarkdownBuddy {
             return 'tutorial';
         }
         
+        if (document.querySelector('.link-report')) {
+            return 'link-report';
+        }
+        
+        if (document.querySelector('.search-page')) {
+            return 'search-results';
+        }
+        
+        if (document.querySelector('.history-page')) {
+            return 'history';
+        }
+        
         if (document.querySelector('.folder-title')) {
             return 'folder';
         }
         
         // Fallback to path-based detection
-        if (this.currentPath.includes('.md')) {
+        if (this.isDocumentFile(this.currentPath)) {
             return 'tutorial';
         }
         
@@ -2907,8 +6781,8 @@ class MarkdownBuddy {
             
             if (index === parts.length - 1) {
                 // Last item (current page) - no link, different styling for files vs folders
-                const displayName = part.replace('.md', '').replace(/-/g, ' ');
-                if (part.endsWith('.md')) {
+                const displayName = this.stripDocumentExtension(part).replace(/-/g, ' ');
+                if (this.isDocumentFile(part)) {
                     // It's a file - no link
                     breadcrumbs.push(`<span class="breadcrumb-file">${displayName}</span>`);
                 } else {
@@ -2943,9 +6817,9 @@ class MarkdownBuddy {
         // In a real app, you'd match based on the actual path
     }
     
-    ensureHeaderIds() {
+    ensureHeaderIds(root = document.getElementById('main-content')) {
         // Ensure all headers in the markdown content have proper IDs
-        const markdownContent = document.querySelector('.markdown-content');
+        const markdownContent = root.querySelector('.markdown-content');
         if (!markdownContent) return;
         
         const headers = markdownContent.querySelectorAll('h1, h2, h3, h4, h5, h6');
@@ -2958,7 +6832,7 @@ class MarkdownBuddy {
             // Ensure unique IDs by checking for duplicates
             let finalId = id;
             let counter = 1;
-            while (document.getElementById(finalId) && document.getElementById(finalId) !== header) {
+            while (this.findElementById(root, finalId) && this.findElementById(root, finalId) !== header) {
                 finalId = `${id}-${counter}`;
                 counter++;
             }
@@ -2968,14 +6842,14 @@ class MarkdownBuddy {
         });
     }
 
-    initializeCodeBlocks() {
+    initializeCodeBlocks(root = document.getElementById('main-content')) {
         // Highlight code blocks
         if (window.hljs) {
-            hljs.highlightAll();
+            root.querySelectorAll('pre code:not(.hljs)').forEach(codeBlock => hljs.highlightElement(codeBlock));
         }
         
         // Add copy buttons to code blocks
-        document.querySelectorAll('pre code').forEach(codeBlock => {
+        root.querySelectorAll('pre code').forEach(codeBlock => {
             const pre = codeBlock.parentElement;
             if (!pre.querySelector('.copy-button')) {
                 const copyButton = document.createElement('button');
@@ -2988,15 +6862,17 @@ class MarkdownBuddy {
         });
     }
 
-    setupAnchorNavigation() {
+    setupAnchorNavigation(root = document.getElementById('main-content')) {
         // First, ensure all headers have proper IDs
-        this.ensureHeaderIds();
+        this.ensureHeaderIds(root);
         
         // Enable smooth scrolling for in-page anchors
         console.log('Setting up anchor navigation...');
         
-        // Find all anchor links
-        const anchorLinks = document.querySelectorAll('a[href^="#"]');
+        // Find all anchor links; only jumps in the main view are history steps
+        const app = this;
+        const isMainView = root.id === 'main-content';
+        const anchorLinks = root.querySelectorAll('a[href^="#"]');
         console.log(`Found ${anchorLinks.length} anchor links`);
         
         anchorLinks.forEach((anchor, index) => {
@@ -3005,14 +6881,14 @@ class MarkdownBuddy {
             
             // Remove any existing click handlers
             anchor.replaceWith(anchor.cloneNode(true));
-            const newAnchor = document.querySelectorAll('a[href^="#"]')[index];
+            const newAnchor = root.querySelectorAll('a[href^="#"]')[index];
             
             newAnchor.addEventListener('click', function (e) {
                 e.preventDefault();
                 const targetId = this.getAttribute('href');
                 console.log('Clicked anchor with target:', targetId);
                 
-                let target = document.querySelector(targetId);
+                let target = app.findElementById(root, app.decodeUriPart(targetId.slice(1)));
                 
                 if (!target) {
                     console.warn('Target not found for:', targetId);
@@ -3020,7 +6896,7 @@ class MarkdownBuddy {
                     const targetText = targetId.substring(1).replace(/-/g, ' ');
                     console.log('Trying to find header with text like:', targetText);
                     
-                    const headers = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+                    const headers = root.querySelectorAll('h1, h2, h3, h4, h5, h6');
                     headers.forEach(header => {
                         const headerText = header.textContent.toLowerCase().trim();
                         const normalizedTarget = targetText.toLowerCase().trim();
@@ -3037,6 +6913,9 @@ class MarkdownBuddy {
                 
                 if (target) {
                     console.log('Target found, scrolling to:', target);
+                    if (isMainView) {
+                        app.recordAnchorJump(target.id);
+                    }
                     target.scrollIntoView({
                         behavior: 'smooth',
                         block: 'start'
@@ -3051,14 +6930,14 @@ class MarkdownBuddy {
                 } else {
                     console.error('Could not find target for anchor:', targetId);
                     // List all available IDs for debugging
-                    const allIds = Array.from(document.querySelectorAll('[id]')).map(el => el.id);
+                    const allIds = Array.from(root.querySelectorAll('[id]')).map(el => el.id);
                     console.log('Available IDs:', allIds);
                 }
             });
         });
         
         // Also check if headers have proper IDs
-        const headers = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        const headers = root.querySelectorAll('h1, h2, h3, h4, h5, h6');
         console.log(`Found ${headers.length} headers`);
         headers.forEach((header, index) => {
             console.log(`Header ${index + 1}: "${header.textContent.trim()}" - ID: "${header.id}"`);
@@ -3080,6 +6959,592 @@ class MarkdownBuddy {
             || 'header';
     }
     
+    // Document Links
+    setupDocumentLinks(container, documentPath, follow = (baseDir, href) => this.followRelativeLink(baseDir, href)) {
+        // Relative links resolve against the document's folder; web links open in the browser
+        const baseDir = documentPath.slice(0, documentPath.lastIndexOf('/'));
+        
+        container.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (!href || href.startsWith('#')) return;
+            
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+                    this.openExternalLink(href);
+                } else {
+                    follow(baseDir, href);
+                }
+            });
+        });
+    }
+
+    async openExternalLink(url) {
+        try {
+            await Neutralino.os.open(url);
+        } catch (error) {
+            console.error('Failed to open link:', url, error);
+            this.showNotification(`Could not open ${url}`, true);
+        }
+    }
+
+    async followRelativeLink(baseDir, href) {
+        const [target, anchor] = href.split('#');
+        const resolved = this.resolveRelativePath(baseDir, this.decodeUriPart(target.split('?')[0]));
+        const navKey = this.getNavKeyForPath(resolved);
+        const entry = navKey ? this.getNavigationEntry(navKey) : null;
+        
+        if (!entry) {
+            // Documents outside the library open like files dropped on the window
+            if (this.isDocumentFile(resolved) && await this.pathExists(resolved)) {
+                await this.openExternalTutorial(resolved);
+                if (anchor) {
+                    this.scrollToHeading(anchor);
+                }
+            } else {
+                this.showNotification(`Link target not found: ${href}`, true);
+            }
+            return;
+        }
+        
+        if (entry.type === 'folder') {
+            this.showFolderContents(navKey, entry.name);
+        } else {
+            await this.loadTutorial(entry.path, entry.name);
+            if (anchor) {
+                this.scrollToHeading(anchor);
+            }
+        }
+    }
+
+    async pathExists(path) {
+        try {
+            await Neutralino.filesystem.getStats(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    resolveDocumentImages(container, documentPath, imageUrls = this.documentImageUrls) {
+        // marked leaves relative sources as written, which would resolve against the app's document root
+        this.releaseDocumentImages(imageUrls);
+        if (!container || documentPath.startsWith('external://')) return;
+        
+        const baseDir = documentPath.slice(0, documentPath.lastIndexOf('/'));
+        container.querySelectorAll('img[src]').forEach(image => {
+            const src = image.getAttribute('src');
+            if (!src || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) return;
+            
+            const resolved = this.resolveRelativePath(baseDir, this.decodeUriPart(src.split(/[?#]/)[0]));
+            if (resolved.startsWith('resources/')) {
+                // Built-in tutorials are served from the resources folder
+                image.src = encodeURI(resolved.slice('resources'.length));
+            } else {
+                this.loadLocalImage(image, resolved, imageUrls);
+            }
+        });
+    }
+
+    async loadLocalImage(image, path, imageUrls = this.documentImageUrls) {
+        // Library folders live outside the document root, so read the file and hand it over as a blob
+        try {
+            const data = await Neutralino.filesystem.readBinaryFile(path);
+            const extension = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+            const url = URL.createObjectURL(new Blob([data], { type: MarkdownBuddy.IMAGE_TYPES[extension] || '' }));
+            imageUrls.push(url);
+            image.src = url;
+        } catch (error) {
+            console.warn('Failed to load image:', path, error);
+            image.classList.add('image-missing');
+        }
+    }
+
+    releaseDocumentImages(imageUrls = this.documentImageUrls) {
+        // Emptied in place: the list belongs to the main view or the split pane
+        imageUrls.splice(0).forEach(url => URL.revokeObjectURL(url));
+    }
+
+    resolveRelativePath(baseDir, relativePath) {
+        const parts = relativePath.startsWith('/') ? [] : baseDir.split('/');
+        relativePath.split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return (relativePath.startsWith('/') ? '/' : '') + parts.join('/');
+    }
+
+    decodeUriPart(text) {
+        // Hand-written links and image names may hold a bare "%" (e.g. "100%.png"), which decodeURIComponent rejects
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // Link Checker
+    async checkLibraryLinks() {
+        if (this.linkCheckRunning) return;
+        this.linkCheckRunning = true;
+        
+        const files = this.getAllTutorialFiles().filter(file => this.getDocumentType(file.path) !== 'text');
+        const anchorCache = new Map(); // document path -> { ids, slugs } or null when unreadable
+        const existsCache = new Map();
+        const problems = [];
+        
+        // Record the page being left now: the progress view replaces it before the report is shown
+        this.pushNavigationHistory(MarkdownBuddy.LINK_REPORT_PATH);
+        this.showLinkCheckProgress(0, files.length);
+        
+        try {
+            for (let index = 0; index < files.length; index++) {
+                const file = files[index];
+                const anchors = await this.getDocumentAnchors(file.path, anchorCache);
+                if (anchors) {
+                    problems.push(...await this.checkDocumentLinks(file, anchors.doc, anchorCache, existsCache));
+                } else {
+                    // Say so, rather than count a document nobody looked at as clean
+                    problems.push({
+                        path: file.path,
+                        title: file.title,
+                        kind: 'document',
+                        target: this.getPathBaseName(file.path),
+                        text: '',
+                        occurrence: 0,
+                        message: 'Document could not be read, its links were not checked'
+                    });
+                }
+                
+                // Yield so the window stays responsive on large libraries
+                if (index % 10 === 9) {
+                    this.showLinkCheckProgress(index + 1, files.length);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            
+            this.linkReport = { problems, checked: files.length, finishedAt: new Date() };
+            this.showLinkReport({ historyRecorded: true });
+        } catch (error) {
+            console.error('Link check failed:', error);
+            this.showNotification('Link check failed', true);
+        } finally {
+            this.linkCheckRunning = false;
+        }
+    }
+
+    async getDocumentAnchors(path, cache) {
+        // Header IDs the viewer will generate for a document, plus explicit id/name attributes
+        if (cache.has(path)) return cache.get(path);
+        
+        let anchors = null;
+        try {
+            const source = this.externalContents.has(path)
+                ? this.externalContents.get(path)
+                : await this.readLibraryFile(path);
+            const doc = new DOMParser().parseFromString(this.renderDocument(source, path).html, 'text/html');
+            const ids = new Set();
+            const slugs = new Set();
+            const texts = new Set();
+            
+            doc.querySelectorAll('[id], a[name]').forEach(element => ids.add(element.id || element.getAttribute('name')));
+            const headers = Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+            this.assignHeaderIds(headers, ids).forEach(id => ids.add(id));
+            headers.forEach(header => {
+                slugs.add(this.generateHeaderId(header.textContent));
+                texts.add(this.normalizeAnchorText(header.textContent));
+            });
+            anchors = { doc, ids, slugs, texts };
+        } catch (error) {
+            console.warn('Link check could not read:', path, error);
+        }
+        
+        cache.set(path, anchors);
+        return anchors;
+    }
+
+    assignHeaderIds(headers, takenIds = new Set()) {
+        // The IDs ensureHeaderIds() will give these headers once the document is on screen
+        const used = new Set(takenIds);
+        return headers.map(header => {
+            const id = this.generateHeaderId(header.textContent);
+            let finalId = id;
+            let counter = 1;
+            while (used.has(finalId)) {
+                finalId = `${id}-${counter}`;
+                counter++;
+            }
+            used.add(finalId);
+            return finalId;
+        });
+    }
+
+    hasAnchor(anchors, anchor) {
+        // Accept everything the viewer can scroll to, including its match on header text
+        const id = this.decodeUriPart(anchor);
+        return anchors.ids.has(id) ||
+            anchors.slugs.has(this.generateHeaderId(id)) ||
+            anchors.texts.has(this.normalizeAnchorText(id.replace(/-/g, ' ')));
+    }
+
+    normalizeAnchorText(text) {
+        return text.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    async checkDocumentLinks(file, doc, anchorCache, existsCache) {
+        const problems = [];
+        const baseDir = file.path.slice(0, file.path.lastIndexOf('/'));
+        const isExternal = file.path.startsWith('external://');
+        const occurrences = new Map(); // Repeated targets are told apart by their position in the page
+        const report = (kind, target, element, message) => {
+            const key = `${kind}:${target}`;
+            problems.push({
+                path: file.path,
+                title: file.title,
+                kind,
+                target,
+                text: (element.textContent || element.getAttribute('alt') || '').trim(),
+                occurrence: occurrences.get(key) - 1,
+                message
+            });
+        };
+        const count = (kind, target) => occurrences.set(`${kind}:${target}`, (occurrences.get(`${kind}:${target}`) || 0) + 1);
+        const exists = async (path) => {
+            if (!existsCache.has(path)) {
+                const navKey = this.getNavKeyForPath(path);
+                existsCache.set(path, !!(navKey && this.getNavigationEntry(navKey)) || await this.libraryPathExists(path));
+            }
+            return existsCache.get(path);
+        };
+        
+        for (const link of doc.querySelectorAll('a[href]')) {
+            const href = link.getAttribute('href');
+            count('link', href);
+            if (!href || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) continue;
+            
+            if (href.startsWith('#')) {
+                if (href.length > 1 && !this.hasAnchor(anchorCache.get(file.path), href.slice(1))) {
+                    report('link', href, link, `No heading matches ${href}`);
+                }
+                continue;
+            }
+            if (isExternal) continue;
+            
+            const [target, anchor] = href.split('#');
+            // Decoded like the viewer does, so a literal "%" is not reported when the link works
+            const resolved = this.resolveRelativePath(baseDir, this.decodeUriPart(target.split('?')[0]));
+            if (!await exists(resolved)) {
+                report('link', href, link, 'Linked file not found');
+            } else if (anchor && this.isDocumentFile(resolved) && this.getDocumentType(resolved) !== 'text') {
+                const targetAnchors = await this.getDocumentAnchors(resolved, anchorCache);
+                if (!targetAnchors) {
+                    report('link', href, link, `Could not read ${this.getPathBaseName(resolved)} to check #${anchor}`);
+                } else if (!this.hasAnchor(targetAnchors, anchor)) {
+                    report('link', href, link, `No heading matches #${anchor} in ${this.getPathBaseName(resolved)}`);
+                }
+            }
+        }
+        
+        for (const image of doc.querySelectorAll('img[src]')) {
+            const src = image.getAttribute('src');
+            count('image', src);
+            if (isExternal || !src || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) continue;
+            
+            const resolved = this.resolveRelativePath(baseDir, this.decodeUriPart(src.split(/[?#]/)[0]));
+            if (!await exists(resolved)) {
+                report('image', src, image, 'Image not found');
+            }
+        }
+        
+        return problems;
+    }
+
+    showLinkCheckProgress(done, total) {
+        const mainContent = document.getElementById('main-content');
+        const progress = mainContent.querySelector('.link-check-progress');
+        if (progress) {
+            progress.textContent = `Checked ${done} of ${total} documents...`;
+        }
+        if (done > 0) return;
+        
+        mainContent.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-pulse"></i>
+                <p class="link-check-progress">Checked ${done} of ${total} documents...</p>
+            </div>
+        `;
+    }
+
+    showLinkReport({ historyRecorded = false } = {}) {
+        const report = this.linkReport;
+        if (!report) return;
+        
+        // Track navigation history like folder and tutorial pages do
+        if (!historyRecorded) {
+            this.pushNavigationHistory(MarkdownBuddy.LINK_REPORT_PATH);
+        }
+        
+        // Group problems by tutorial, keeping the library order
+        const groups = new Map();
+        report.problems.forEach((problem, index) => {
+            if (!groups.has(problem.path)) {
+                groups.set(problem.path, { title: problem.title, items: [] });
+            }
+            groups.get(problem.path).items.push({ problem, index });
+        });
+        
+        const summary = report.problems.length === 0
+            ? `<p class="link-report-summary link-report-ok"><i class="fas fa-check-circle"></i> Checked ${report.checked} documents: no broken links, anchors or images.</p>`
+            : `<p class="link-report-summary"><i class="fas fa-exclamation-triangle"></i> Checked ${report.checked} documents: ${report.problems.length} problems in ${groups.size} tutorials.</p>`;
+        
+        let groupsHtml = '';
+        groups.forEach((group, path) => {
+            groupsHtml += `
+                <div class="link-report-group">
+                    <h3 title="${this.escapeHtml(path)}"><i class="fas fa-file-alt"></i> ${this.escapeHtml(group.title)}</h3>
+                    <ul>
+                        ${group.items.map(({ problem, index }) => `
+                            <li class="link-report-item" onclick="markdownBuddy.openLinkProblem(${index})">
+                                <i class="fas ${MarkdownBuddy.LINK_PROBLEM_ICONS[problem.kind]}"></i>
+                                <code>${this.escapeHtml(problem.target)}</code>
+                                <span class="link-report-message">${this.escapeHtml(problem.message)}</span>
+                                ${problem.text ? `<small>“${this.escapeHtml(problem.text)}”</small>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        });
+        
+        document.getElementById('main-content').innerHTML = `
+            <div class="folder-contents link-report">
+                <div class="folder-header">
+                    <div class="breadcrumb">${this.createBreadcrumb('Link Check')}</div>
+                    <h1 class="folder-title"><i class="fas fa-unlink"></i> Library Link Check</h1>
+                </div>
+                <div class="folder-body">
+                    <div class="home-actions">
+                        <button class="btn-secondary" onclick="markdownBuddy.checkLibraryLinks()" title="Check every tutorial again">
+                            <i class="fas fa-sync-alt"></i> Check Again
+                        </button>
+                    </div>
+                    ${summary}
+                    ${groupsHtml}
+                </div>
+            </div>
+        `;
+        
+        this.updateActiveNavItem('');
+        this.currentPath = MarkdownBuddy.LINK_REPORT_PATH;
+        this.updateActiveTab();
+    }
+
+    async openLinkProblem(index) {
+        const problem = this.linkReport && this.linkReport.problems[index];
+        if (!problem) return;
+        
+        await this.loadTutorial(problem.path, problem.title);
+        if (problem.kind === 'document') return;
+        
+        // Find the exact link or image in the rendered page and point at it
+        const selector = problem.kind === 'image' ? 'img[src]' : 'a[href]';
+        const attribute = problem.kind === 'image' ? 'src' : 'href';
+        const element = Array.from(document.querySelectorAll(`#main-content .markdown-content ${selector}`))
+            .filter(candidate => candidate.getAttribute(attribute) === problem.target)[problem.occurrence];
+        if (!element) return;
+        
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('link-problem-highlight');
+        setTimeout(() => element.classList.remove('link-problem-highlight'), 3000);
+    }
+
+    // Search Results Page
+    showSearchResultsPage(query) {
+        query = (query || '').trim();
+        if (!query) return;
+        
+        const path = `${MarkdownBuddy.SEARCH_PAGE_PREFIX}${query}`;
+        this.pushNavigationHistory(path);
+        
+        // Coming back to the same query keeps its sort order and category filter
+        const previous = this.searchPage && this.searchPage.query === query ? this.searchPage : null;
+        if (this.searchPage && this.searchPage.observer) {
+            this.searchPage.observer.disconnect();
+        }
+        this.searchPage = {
+            query,
+            sort: previous ? previous.sort : 'relevance',
+            categories: previous ? previous.categories : [],
+            results: [],
+            total: 0,
+            categoryCounts: [],
+            loading: false,
+            observer: null
+        };
+        
+        document.getElementById('main-content').innerHTML = `
+            <div class="folder-contents search-page">
+                <div class="folder-header">
+                    <div class="breadcrumb">${this.createBreadcrumb('Search')}</div>
+                    <h1 class="folder-title"><i class="fas fa-search"></i> Results for “${this.escapeHtml(query)}”</h1>
+                </div>
+                <div class="folder-body">
+                    <div class="search-page-toolbar">
+                        <span class="search-page-count">Searching...</span>
+                        <label class="search-page-sort">
+                            Sort by
+                            <select onchange="markdownBuddy.setSearchPageSort(this.value)">
+                                ${Object.entries(MarkdownBuddy.SEARCH_PAGE_SORTS).map(([value, label]) => `
+                                    <option value="${value}"${value === this.searchPage.sort ? ' selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="search-page-filters"></div>
+                    <div class="search-page-results"></div>
+                    <div class="search-page-more" hidden>
+                        <button class="btn-secondary" onclick="markdownBuddy.loadSearchResultsPage()">Show more results</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.updateActiveNavItem('');
+        this.currentPath = path;
+        this.updateActiveTab();
+        
+        // Infinite scroll: the next page loads as the "more" button comes into view
+        const more = document.querySelector('.search-page-more');
+        if (typeof IntersectionObserver !== 'undefined' && more) {
+            this.searchPage.observer = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting) && !more.hidden) {
+                    this.loadSearchResultsPage();
+                }
+            });
+            this.searchPage.observer.observe(more);
+        }
+        
+        return this.loadSearchResultsPage(true);
+    }
+
+    async loadSearchResultsPage(reset = false) {
+        const page = this.searchPage;
+        if (!page || (page.loading && !reset)) return;
+        
+        if (reset) {
+            page.results = [];
+        }
+        page.loading = true;
+        const found = await this.searchTutorials(page.query, this.getSearchableTutorials ? this.getSearchableTutorials() : [], {
+            offset: page.results.length,
+            limit: MarkdownBuddy.SEARCH_PAGE_SIZE,
+            snippets: MarkdownBuddy.SEARCH_PAGE_SNIPPETS,
+            sort: page.sort,
+            categories: page.categories,
+            channel: 'page'
+        });
+        page.loading = false;
+        
+        // A newer search, or another page, took over in the meantime
+        if (!found || this.searchPage !== page || !document.querySelector('.search-page')) return;
+        
+        const start = page.results.length;
+        page.results.push(...found.results);
+        page.total = found.total;
+        page.categoryCounts = found.categories;
+        this.renderSearchResultsPage(start);
+    }
+
+    renderSearchResultsPage(start) {
+        const page = this.searchPage;
+        const container = document.querySelector('.search-page-results');
+        if (!container) return;
+        
+        if (start === 0) {
+            container.innerHTML = '';
+            const categories = page.categoryCounts.length;
+            document.querySelector('.search-page-count').textContent = page.total === 0
+                ? 'No tutorials match this search.'
+                : `${page.total} tutorial${page.total === 1 ? '' : 's'}${page.categories.length ? ' in the selected categories' : ` in ${categories} categor${categories === 1 ? 'y' : 'ies'}`}`;
+            document.querySelector('.search-page-filters').innerHTML = page.categoryCounts.length > 1 || page.categories.length
+                ? page.categoryCounts.map(([category, count], index) => `
+                    <button class="search-page-filter${page.categories.includes(category) ? ' active' : ''}" onclick="markdownBuddy.toggleSearchPageCategory(${index})">
+                        ${this.escapeHtml(category)} <span>${count}</span>
+                    </button>
+                `).join('')
+                : '';
+        }
+        
+        // Results arrive grouped by category; a page may continue the last group
+        page.results.slice(start).forEach((result, offset) => {
+            const index = start + offset;
+            let group = container.lastElementChild;
+            if (!group || group.dataset.category !== result.category) {
+                container.insertAdjacentHTML('beforeend', `
+                    <div class="search-page-group">
+                        <h3>${this.escapeHtml(result.category)}</h3>
+                        <div class="search-page-items"></div>
+                    </div>
+                `);
+                group = container.lastElementChild;
+                group.dataset.category = result.category;
+            }
+            
+            group.querySelector('.search-page-items').insertAdjacentHTML('beforeend', `
+                <div class="search-page-item" data-result-index="${index}">
+                    <a href="#" class="search-page-title" onclick="markdownBuddy.openSearchPageResult(${index}); return false;">${this.highlightMatches(result.tutorial.name, result.highlights.name)}</a>
+                    <div class="search-page-path">${this.highlightMatches(result.tutorial.displayPath || '', result.highlights.path)}</div>
+                    ${result.matches.length ? `
+                        <ul class="search-page-snippets">
+                            ${result.matches.map((match, matchIndex) => `
+                                <li onclick="markdownBuddy.openSearchPageResult(${index}, ${matchIndex})" data-match-index="${matchIndex}">
+                                    ${match.heading ? `<span class="search-page-heading">${this.escapeHtml(match.heading)}</span>` : ''}
+                                    ${match.snippet ? `<span class="search-page-snippet">${this.highlightMatches(match.snippet, match.snippetRanges)}</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `);
+        });
+        
+        const more = document.querySelector('.search-page-more');
+        if (more) {
+            more.hidden = page.results.length >= page.total;
+            more.querySelector('button').textContent = `Show more results (${page.total - page.results.length} left)`;
+        }
+    }
+
+    setSearchPageSort(sort) {
+        if (!this.searchPage) return;
+        this.searchPage.sort = sort;
+        this.loadSearchResultsPage(true);
+    }
+
+    toggleSearchPageCategory(index) {
+        const page = this.searchPage;
+        const entry = page && page.categoryCounts[index];
+        if (!entry) return;
+        
+        const category = entry[0];
+        page.categories = page.categories.includes(category)
+            ? page.categories.filter(selected => selected !== category)
+            : [...page.categories, category];
+        this.loadSearchResultsPage(true);
+    }
+
+    openSearchPageResult(index, matchIndex = 0) {
+        const page = this.searchPage;
+        const result = page && page.results[index];
+        if (!result) return;
+        
+        const match = result.matches[matchIndex];
+        return this.openSearchMatch(result.tutorial.fullPath, result.tutorial.name, match ? match.anchor : '', page.query, result.words.join(' '));
+    }
+
     testAnchorLinks() {
         // Debug method to test if TOC links have matching headers
         console.log('=== TESTING ANCHOR LINKS ===');
@@ -3186,20 +7651,12 @@ class MarkdownBuddy {
         console.log('Showing home/welcome content');
         
         // Track navigation history if not already at home and not navigating back
-        if (!this.isNavigatingBack && this.currentPath) {
-            const currentTitle = document.querySelector('.tutorial-title')?.textContent || 
-                               document.querySelector('.folder-title')?.textContent || 'Previous Page';
-            const currentType = this.determineCurrentPageType();
-            
-            this.addToNavigationHistory({
-                path: this.currentPath,
-                title: currentTitle,
-                type: currentType
-            });
-        }
+        this.pushNavigationHistory('');
         
         // Clear current path
         this.currentPath = '';
+        this.saveSession();
+        this.updateActiveTab();
         
         // Show the top-level categories using folder view
         const mainContent = document.getElementById('main-content');
@@ -3222,19 +7679,28 @@ class MarkdownBuddy {
                     <button class="btn-secondary" onclick="markdownBuddy.openRandomTutorial()" title="Open a random tutorial">
                         <i class="fas fa-random"></i> Random Tutorial
                     </button>
+                    <button class="btn-secondary" onclick="markdownBuddy.showHistoryPage()" title="Pages you opened, by day (Ctrl/Cmd+Shift+H)">
+                        <i class="fas fa-history"></i> History
+                    </button>
+                    <button class="btn-secondary" onclick="markdownBuddy.checkLibraryLinks()" title="Find broken links, anchors and images in every tutorial">
+                        <i class="fas fa-unlink"></i> Check Links
+                    </button>
+                    <button class="btn-secondary" onclick="markdownBuddy.rebuildContentIndex()" title="Re-read every tutorial for full-text search">
+                        <i class="fas fa-sync-alt"></i> Rebuild Index
+                    </button>
                 </div>
             `;
 
             folderHtml += statsHtml + actionsHtml + '<h2><i class="fas fa-folder"></i> Tutorial Categories</h2><div class="folder-grid">';
             
-            Object.keys(this.navigationData).forEach(key => {
+            this.getSortedKeys(this.navigationData).forEach(key => {
                 const item = this.navigationData[key];
                 const itemCount = item.children ? Object.keys(item.children).length : 0;
                 
                 folderHtml += `
-                    <div class="folder-card" onclick="markdownBuddy.showFolderContents('${key}', '${item.name}')">
+                    <div class="folder-card" onclick="markdownBuddy.showFolderContents('${key}', '${this.escapeHtml(item.name.replace(/['"\\]/g, ''))}')" data-open-type="folder" data-open-path="${this.escapeHtml(key)}" data-open-title="${this.escapeHtml(item.name)}">
                         <i class="fas fa-folder"></i>
-                        <span>${item.name}</span>
+                        <span>${this.escapeHtml(item.name)}</span>
                         <small>${itemCount} items</small>
                     </div>
                 `;
@@ -3325,7 +7791,7 @@ class MarkdownBuddy {
                 if (!item) return;
                 if (item.type === 'file') {
                     const path = item.path ? item.path : (prefix ? `${prefix}/${key}` : key);
-                    const title = item.name || key.replace(/\.md$/, '');
+                    const title = item.name || this.stripDocumentExtension(key);
                     files.push({ path, title });
                 } else if (item.type === 'folder' && item.children) {
                     const newPrefix = prefix ? `${prefix}/${key}` : key;
@@ -3363,282 +7829,126 @@ class MarkdownBuddy {
         await this.loadNavigation();
         this.showWelcomeContent();
     }
-
-    getSampleMarkdown(path) {
-        // Sample markdown content for demo purposes
-        const samples = {
-            'homebrew/cli-tools.md': `# Homebrew CLI Tools
-
-Homebrew makes it easy to install command-line tools on macOS. Here are some essential CLI tools you should consider installing.
-
-## Essential CLI Tools
-
-### bat - A cat clone with wings
-\`\`\`bash
-brew install bat
-\`\`\`
-
-\`bat\` is a \`cat\` clone with syntax highlighting and Git integration.
-
-\`\`\`bash
-# Basic usage
-bat filename.txt
-
-# Show line numbers
-bat -n filename.txt
-\`\`\`
-
-### fd - A simple, fast alternative to find
-\`\`\`bash
-brew install fd
-\`\`\`
-
-\`\`\`bash
-# Find files by name
-fd pattern
-
-# Find files in specific directory
-fd pattern /path/to/search
-\`\`\`
-
-### jq - Command-line JSON processor
-\`\`\`bash
-brew install jq
-\`\`\`
-
-\`\`\`bash
-# Pretty print JSON
-echo '{"name":"John","age":30}' | jq .
-
-# Extract specific field
-echo '{"name":"John","age":30}' | jq '.name'
-\`\`\`
-
-## Advanced Tools
-
-### ripgrep - Fast text search
-\`\`\`bash
-brew install ripgrep
-\`\`\`
-
-### fzf - Fuzzy finder
-\`\`\`bash
-brew install fzf
-\`\`\`
-
-> **Tip:** These tools can significantly improve your command-line productivity!`,
-
-            'python/file-operations.md': `# Python File Operations
-
-Learn how to work with files and directories in Python using the standard library.
-
-## Reading Files
-
-### Basic File Reading
-\`\`\`python
-# Read entire file
-with open('filename.txt', 'r') as file:
-    content = file.read()
-    print(content)
-
-# Read line by line
-with open('filename.txt', 'r') as file:
-    for line in file:
-        print(line.strip())
-\`\`\`
-
-### Reading with Error Handling
-\`\`\`python
-import os
-
-def read_file_safely(filename):
-    try:
-        with open(filename, 'r') as file:
-            return file.read()
-    except FileNotFoundError:
-        print(f"File {filename} not found")
-        return None
-    except IOError:
-        print(f"Error reading file {filename}")
-        return None
-\`\`\`
-
-## Writing Files
-
-### Basic Writing
-\`\`\`python
-# Write to file (overwrites existing content)
-with open('output.txt', 'w') as file:
-    file.write('Hello, World!')
-
-# Append to file
-with open('output.txt', 'a') as file:
-    file.write('\\nNew line')
-\`\`\`
-
-## Working with Directories
-
-### Using pathlib (Recommended)
-\`\`\`python
-from pathlib import Path
-
-# Create directory
-Path('new_directory').mkdir(exist_ok=True)
-
-# List files in directory
-directory = Path('.')
-for file in directory.iterdir():
-    if file.is_file():
-        print(file.name)
-\`\`\`
-
-### Using os module
-\`\`\`python
-import os
-
-# Create directory
-os.makedirs('nested/directory', exist_ok=True)
-
-# List directory contents
-for item in os.listdir('.'):
-    print(item)
-\`\`\`
-
-> **Best Practice:** Always use context managers (\`with\` statements) when working with files to ensure proper resource cleanup.`,
-
-            'google-scripts/gmail.md': `# Gmail Functions with Google Apps Script
-
-Automate Gmail operations using Google Apps Script.
-
-## Getting Started
-
-### Basic Setup
-\`\`\`javascript
-function onOpen() {
-  var ui = SpreadsheetApp.getUi();
-  ui.createMenu('Gmail Tools')
-    .addItem('Send Email', 'sendEmail')
-    .addItem('Read Inbox', 'readInbox')
-    .addToUi();
-}
-\`\`\`
-
-## Sending Emails
-
-### Simple Email
-\`\`\`javascript
-function sendEmail() {
-  var recipient = 'recipient@example.com';
-  var subject = 'Test Email from Apps Script';
-  var body = 'This is a test email sent from Google Apps Script.';
-  
-  GmailApp.sendEmail(recipient, subject, body);
-}
-\`\`\`
-
-### Email with Attachments
-\`\`\`javascript
-function sendEmailWithAttachment() {
-  var recipient = 'recipient@example.com';
-  var subject = 'Email with Attachment';
-  var body = 'Please find the attached file.';
-  
-  // Get file from Google Drive
-  var file = DriveApp.getFileById('your-file-id');
-  
-  GmailApp.sendEmail(
-    recipient, 
-    subject, 
-    body, 
-    {
-      attachments: [file.getBlob()],
-      htmlBody: '<p>Please find the <strong>attached</strong> file.</p>'
-    }
-  );
-}
-\`\`\`
-
-## Reading Emails
-
-### Get Inbox Threads
-\`\`\`javascript
-function readInbox() {
-  var threads = GmailApp.getInboxThreads(0, 10); // Get first 10 threads
-  
-  threads.forEach(function(thread) {
-    var messages = thread.getMessages();
-    var firstMessage = messages[0];
-    
-    console.log('Subject: ' + firstMessage.getSubject());
-    console.log('From: ' + firstMessage.getFrom());
-    console.log('Date: ' + firstMessage.getDate());
-  });
 }
-\`\`\`
-
-### Search for Specific Emails
-\`\`\`javascript
-function searchEmails() {
-  var query = 'from:sender@example.com is:unread';
-  var threads = GmailApp.search(query, 0, 10);
-  
-  threads.forEach(function(thread) {
-    var messages = thread.getMessages();
-    messages.forEach(function(message) {
-      console.log('Subject: ' + message.getSubject());
-      console.log('Body: ' + message.getPlainBody());
-    });
-  });
-}
-\`\`\`
-
-## Email Processing
-
-### Auto-Reply Function
-\`\`\`javascript
-function autoReply() {
-  var label = GmailApp.getUserLabelByName('AutoReply');
-  var threads = label.getThreads();
-  
-  threads.forEach(function(thread) {
-    var messages = thread.getMessages();
-    var lastMessage = messages[messages.length - 1];
-    
-    if (!lastMessage.isInInbox()) return;
-    
-    var replySubject = 'Re: ' + lastMessage.getSubject();
-    var replyBody = 'Thank you for your email. We will get back to you soon.';
-    
-    thread.reply(replyBody);
-    thread.removeFromInbox();
-    thread.addLabel(GmailApp.getUserLabelByName('Processed'));
-  });
-}
-\`\`\`
-
-> **Note:** Remember to enable Gmail API access in your Apps Script project settings.`
-        };
-
-        return samples[path] || `# Tutorial: ${path}
 
-This is a sample tutorial. In a real application, this content would be loaded from actual markdown files.
-
-## Getting Started
-
-This tutorial covers the basics of working with ${path}.
-
-\`\`\`javascript
-// Sample code block
-function example() {
-    console.log('Hello from ${path}');
-}
-\`\`\`
-
-## Next Steps
-
-Continue exploring the other tutorials available in the sidebar.`;
-    }
-}
+// Navigation key of the synthetic category holding files opened from outside the library. Keys are split
+// on '/', so it borrows the scheme of the external:// paths; library folders are never given this key
+MarkdownBuddy.EXTERNAL_KEY = 'external:';
+
+// Bytes read from each tutorial when scanning for YAML front matter
+MarkdownBuddy.FRONT_MATTER_PEEK_BYTES = 2048;
+
+// Library tree for modes without filesystem access, relative to index.html (npm run manifest)
+MarkdownBuddy.LIBRARY_MANIFEST_URL = 'tutorials-manifest.json';
+MarkdownBuddy.LIBRARY_MANIFEST_VERSION = 1;
+
+// Always skipped by the library scanner, in .buddyignore syntax
+MarkdownBuddy.DEFAULT_IGNORE_PATTERNS = ['.git/', 'node_modules/', '__pycache__/'];
+
+// File extensions shown in the library and how each one is rendered
+MarkdownBuddy.DOCUMENT_TYPES = {
+    md: 'markdown',
+    markdown: 'markdown',
+    mdown: 'markdown',
+    mdx: 'markdown',
+    txt: 'text',
+    ipynb: 'notebook'
+};
+
+// Notebook HTML/SVG outputs: elements removed outright, and attributes checked for script URLs
+MarkdownBuddy.UNSAFE_OUTPUT_ELEMENTS = 'script, iframe, frame, frameset, object, embed, applet, link, meta, base, form, animate, set';
+MarkdownBuddy.OUTPUT_URL_ATTRIBUTES = ['href', 'xlink:href', 'src', 'action', 'formaction', 'background', 'poster'];
+
+// Content types for images loaded from library folders
+MarkdownBuddy.IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    ico: 'image/x-icon'
+};
+
+// Search hits highlighted in an opened tutorial, to keep huge documents responsive
+MarkdownBuddy.MAX_SEARCH_HIGHLIGHTS = 200;
+
+// Drag data type for favorites: a new { kind, path, title, anchor } or { id } of one being reordered
+MarkdownBuddy.FAVORITE_DRAG_TYPE = 'application/x-markdown-buddy-favorite';
+
+// Sidebar icon per favorite kind
+MarkdownBuddy.FAVORITE_ICONS = {
+    tutorial: 'fa-file-alt',
+    folder: 'fa-folder',
+    heading: 'fa-hashtag'
+};
+
+// Matches the find bar marks in one document before it stops counting
+MarkdownBuddy.MAX_FIND_MATCHES = 1000;
+
+// Icons of search autocomplete suggestions, by what they complete
+MarkdownBuddy.SEARCH_SUGGESTION_ICONS = {
+    operator: 'fa-search',
+    in: 'fa-folder',
+    tag: 'fa-tag',
+    lang: 'fa-code'
+};
+
+// currentPath while the link check report is shown
+MarkdownBuddy.LINK_REPORT_PATH = 'report:links';
+
+// Link check report: icon per kind of problem
+MarkdownBuddy.LINK_PROBLEM_ICONS = { link: 'fa-unlink', image: 'fa-image', document: 'fa-exclamation-triangle' };
+
+// Back/forward button lists: entries shown, how long a press opens them, and the icon per page type
+MarkdownBuddy.HISTORY_MENU_SIZE = 15;
+MarkdownBuddy.HISTORY_MENU_HOLD_MS = 500;
+MarkdownBuddy.HISTORY_ENTRY_ICONS = {
+    home: 'fa-home',
+    tutorial: 'fa-file-alt',
+    folder: 'fa-folder',
+    'link-report': 'fa-unlink',
+    'search-results': 'fa-search',
+    history: 'fa-history'
+};
+
+// Narrowest window that shows split view panes side by side
+MarkdownBuddy.SPLIT_VIEW_MIN_WIDTH = 1100;
+
+// Drag data type for reordering tabs, and how many closed tabs can be reopened
+MarkdownBuddy.TAB_DRAG_TYPE = 'application/x-markdown-buddy-tab';
+MarkdownBuddy.CLOSED_TABS_LIMIT = 10;
+
+// currentPath while the browsing history page is shown, and how many visits it keeps
+MarkdownBuddy.HISTORY_PATH = 'history:';
+MarkdownBuddy.BROWSING_HISTORY_LIMIT = 1000;
+
+// currentPath of the search results page is this prefix followed by the query
+MarkdownBuddy.SEARCH_PAGE_PREFIX = 'search:';
+
+// Search results page: results per page, snippets per tutorial and the sort orders it offers
+MarkdownBuddy.SEARCH_PAGE_SIZE = 20;
+MarkdownBuddy.SEARCH_PAGE_SNIPPETS = 3;
+MarkdownBuddy.SEARCH_PAGE_SORTS = {
+    relevance: 'Relevance',
+    title: 'Title',
+    path: 'Location'
+};
+
+// Files rendered as a folder's landing page, in order of preference
+MarkdownBuddy.FOLDER_INDEX_NAMES = ['readme.md', 'index.md'];
+
+// Ordering prefix on file and folder names, e.g. "01-setup.md"
+MarkdownBuddy.NUMERIC_PREFIX = /^(\d+)[-_. ]+(?=\S)/;
+
+// Single-instance lock: heartbeat interval and the age after which a lock counts as stale
+MarkdownBuddy.INSTANCE_HEARTBEAT_MS = 5000;
+MarkdownBuddy.INSTANCE_STALE_MS = 15000;
+
+// How long a new instance waits for the running window to claim its launch message, and how often it checks
+MarkdownBuddy.INSTANCE_HANDOFF_TIMEOUT_MS = MarkdownBuddy.INSTANCE_HEARTBEAT_MS + 2000;
+MarkdownBuddy.INSTANCE_HANDOFF_POLL_MS = 200;
 
 // Global functions for HTML onclick handlers
 function toggleSidebar() {
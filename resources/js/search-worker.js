@@ -0,0 +1,939 @@
+// Markdown Buddy - Full-text Search Worker
+// Tokenizes, indexes and queries tutorial content off the UI thread. MarkdownBuddy reads the
+// files and talks to this worker with { id, type, ...data } messages, answered by { id, result }
+// or { id, error }.
+
+importScripts('../libs/marked.min.js');
+
+// Bump when createIndexRecord() or the tokenizer change so stale caches are ignored
+const INDEX_CACHE_VERSION = 3;
+
+// Header words count more than body words, prefix and typo lookups stay bounded
+const HEADING_TERM_WEIGHT = 3;
+const MAX_PREFIX_EXPANSIONS = 50;
+const MAX_FUZZY_EXPANSIONS = 20;
+
+// Terms shorter than this must match exactly; up to 7 characters one typo is allowed, longer terms two
+const FUZZY_MIN_LENGTH = 4;
+
+// Query operators and what the autocomplete says about them
+const QUERY_OPERATORS = {
+    in: 'Only tutorials inside a folder',
+    tag: 'Only tutorials with a tag',
+    lang: 'Only match inside code blocks of a language',
+    title: 'Match the title only'
+};
+const MAX_SUGGESTIONS = 6;
+
+// Orders the results page offers besides relevance
+const RESULT_SORTS = {
+    title: (a, b) => (a.tutorial.name || '').localeCompare(b.tutorial.name || ''),
+    path: (a, b) => (a.tutorial.displayPath || '').localeCompare(b.tutorial.displayPath || '') ||
+        (a.tutorial.name || '').localeCompare(b.tutorial.name || '')
+};
+
+// Code fence languages that mean the same thing, indexed under one name
+const LANGUAGE_ALIASES = {
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    js: 'javascript',
+    ts: 'typescript',
+    py: 'python',
+    yml: 'yaml'
+};
+
+// text holds every word of a document, code holds the words of its code blocks per language
+const contentIndex = { docs: new Map(), text: createIndexField(), code: new Map() };
+let cachedRecords = new Map(); // Records from the on-disk cache, until the library is synced against them
+let tutorials = []; // Names, paths, tags and summaries searched next to the content
+let tutorialWords = []; // Words of each tutorial's name, path and other metadata, with their offsets
+let tutorialScopes = []; // Folder segments of each tutorial, by folder name and by display name
+let scopeNames = []; // Every folder path a query can be scoped to, lowercased
+const latestSearchIds = {}; // Channel -> latest search id; searches queued behind a newer one are skipped
+
+const handlers = {
+    loadCache({ text }) {
+        const data = JSON.parse(text);
+        if (data.version !== INDEX_CACHE_VERSION) {
+            return { count: 0, outdated: true };
+        }
+        cachedRecords = new Map(data.docs.map(record => [record.path, record]));
+        return { count: cachedRecords.size, outdated: false };
+    },
+
+    sync({ paths }) {
+        // Drop documents that left the library and report the ones the index does not have yet
+        const current = new Set(paths);
+        const removed = Array.from(contentIndex.docs.keys()).filter(path => !current.has(path));
+        removed.forEach(removeFromContentIndex);
+        return { missing: paths.filter(path => !contentIndex.docs.has(path)), removed: removed.length };
+    },
+
+    restore({ files }) {
+        // Unchanged files (same mtime and size) come from the cache, the rest must be read again
+        const stale = [];
+        files.forEach(file => {
+            const cached = cachedRecords.get(file.path);
+            if (cached && file.mtime !== undefined && cached.mtime === file.mtime && cached.size === file.size) {
+                addToContentIndex(cached);
+                cachedRecords.delete(file.path);
+            } else {
+                stale.push(file.path);
+            }
+        });
+
+        // Whatever is left belongs to files deleted while the app was closed
+        const discarded = cachedRecords.size;
+        cachedRecords = new Map();
+        return { stale, discarded };
+    },
+
+    index({ path, documentType, body, mtime, size }) {
+        const record = createIndexRecord(path, documentType, body);
+        if (mtime !== undefined) {
+            Object.assign(record, { mtime, size });
+        }
+        addToContentIndex(record);
+        return true;
+    },
+
+    clear() {
+        contentIndex.docs.clear();
+        contentIndex.text = createIndexField();
+        contentIndex.code.clear();
+        cachedRecords = new Map();
+        return true;
+    },
+
+    stats() {
+        return { documents: contentIndex.docs.size, terms: contentIndex.text.postings.size };
+    },
+
+    serialize() {
+        // Files opened from outside the library have no signature and are not worth keeping
+        const docs = Array.from(contentIndex.docs.values()).filter(record => record.mtime !== undefined);
+        return { text: JSON.stringify({ version: INDEX_CACHE_VERSION, docs }), count: docs.length };
+    },
+
+    setTutorials({ tutorials: list }) {
+        tutorials = list;
+        tutorialWords = list.map(tutorial => ({
+            name: findWords(tutorial.name || ''),
+            path: findWords(tutorial.displayPath || ''),
+            other: findWords([...(tutorial.tags || []), tutorial.summary || ''].join(' '))
+        }));
+        tutorialScopes = list.map(tutorial => ({
+            folder: (tutorial.path || '').toLowerCase().split('/').slice(0, -1),
+            display: (tutorial.displayPath || '').split('›').map(normalizeScopeSegment).filter(Boolean)
+        }));
+
+        const names = new Set();
+        tutorialScopes.forEach(({ folder, display }) => {
+            [folder, display].forEach(segments => segments.forEach((segment, index) => {
+                names.add(segments.slice(0, index + 1).join('/'));
+            }));
+        });
+        scopeNames = Array.from(names);
+        return list.length;
+    },
+
+    cancel() {
+        return true;
+    },
+
+    search({ query, limit, offset = 0, snippets = 1, sort = 'relevance', categories = [] }) {
+        // One page of results, grouped by category in the chosen order, with up to `snippets` sections each.
+        // Category counts are taken before the category filter so the filter can be widened again.
+        const parsed = parseQuery(query);
+        let results = rankTutorials(parsed.clauses);
+
+        const categoryCounts = new Map();
+        results.forEach(result => categoryCounts.set(result.category, (categoryCounts.get(result.category) || 0) + 1));
+        if (categories.length) {
+            results = results.filter(result => categories.includes(result.category));
+        }
+        if (RESULT_SORTS[sort]) {
+            results.sort(RESULT_SORTS[sort]);
+        }
+        results = groupByCategory(results);
+
+        return {
+            results: results.slice(offset, limit ? offset + limit : undefined).map(result => {
+                const matches = getContentMatches(result.tutorial.fullPath, result.context, snippets);
+                const { context, ...sent } = result;
+                return { ...sent, matches, match: matches[0] || null };
+            }),
+            total: results.length,
+            categories: Array.from(categoryCounts),
+            suggestions: suggestCompletions(query, parsed.tokens)
+        };
+    }
+};
+
+self.onmessage = (event) => {
+    const { id, type, channel = 'dropdown' } = event.data;
+
+    if (type === 'search' || type === 'cancel') {
+        latestSearchIds[channel] = id;
+    }
+    if (type === 'search') {
+        // Let messages already queued run first; if a newer search or a cancel on its channel arrives, this one is dropped
+        setTimeout(() => {
+            if (id !== latestSearchIds[channel]) {
+                self.postMessage({ id, result: null, cancelled: true });
+                return;
+            }
+            respond(event.data);
+        }, 0);
+        return;
+    }
+    respond(event.data);
+};
+
+function respond(message) {
+    const handler = handlers[message.type];
+    try {
+        if (!handler) throw new Error(`Unknown search worker request: ${message.type}`);
+        self.postMessage({ id: message.id, result: handler(message) });
+    } catch (error) {
+        self.postMessage({ id: message.id, error: error.message || String(error) });
+    }
+}
+
+// Tokenizing
+function tokenizeSearchText(text) {
+    // Same tokenizer as MarkdownBuddy.tokenizeSearchText(), which highlights the hits on screen
+    return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(token => token.length > 1);
+}
+
+function generateHeaderId(text) {
+    // Must match MarkdownBuddy.generateHeaderId() so results scroll to the right heading
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/^\d+\.\s*/, '')
+        .replace(/[\s\W]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        || 'header';
+}
+
+function normalizeLanguage(info) {
+    // "Bash title=setup.sh" -> "bash"; aliases like "sh" fold into their main name
+    const language = (info || '').trim().split(/\s+/)[0].replace(/^\{|\}$/g, '').toLowerCase();
+    return LANGUAGE_ALIASES[language] || language;
+}
+
+function getCategory(tutorial) {
+    // The top of the display path, e.g. "🐍 Python Standard Library"
+    return (tutorial.displayPath || '').split('›')[0].trim() || 'Other';
+}
+
+function groupByCategory(results) {
+    // Categories in the order of their first hit, each keeping its hits' order
+    const groups = new Map();
+    results.forEach(result => {
+        if (!groups.has(result.category)) groups.set(result.category, []);
+        groups.get(result.category).push(result);
+    });
+    return Array.from(groups.values()).flat();
+}
+
+function normalizeScopeSegment(segment) {
+    // Display names often start with an emoji: "🐍 Python" -> "python"
+    return segment.replace(/^[^\p{L}\p{N}]+/u, '').trim().toLowerCase();
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity, name) => ({
+        amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' '
+    })[name]);
+}
+
+function inlineText(tokens) {
+    // The text a run of inline tokens shows on screen
+    return (tokens || []).map(token => {
+        if (token.type === 'image') return '';
+        if (token.type === 'br') return ' ';
+        if (token.type === 'html') return decodeEntities(token.text.replace(/<[^>]*>/g, ''));
+        if (token.tokens) return inlineText(token.tokens);
+        return token.type === 'codespan' ? token.text : decodeEntities(token.text || '');
+    }).join('');
+}
+
+// Indexing
+function createIndexRecord(path, documentType, body) {
+    // Split the document into heading sections; terms map to [section, weight, section, weight, ...],
+    // and code holds the same for the words of code blocks, per language
+    const sections = [{ heading: '', anchor: '', text: '' }];
+    const weights = new Map();
+    const codeWeights = new Map();
+    const usedAnchors = new Set();
+
+    const addTokens = (text, weight, target = weights) => {
+        const section = sections.length - 1;
+        tokenizeSearchText(text).forEach(token => {
+            if (!target.has(token)) target.set(token, new Map());
+            const bySection = target.get(token);
+            bySection.set(section, (bySection.get(section) || 0) + weight);
+        });
+    };
+    const addText = (text) => {
+        sections[sections.length - 1].text += ` ${text}`;
+        addTokens(text, 1);
+    };
+    const addCode = (text, language) => {
+        addText(text);
+        if (!language) return;
+        if (!codeWeights.has(language)) codeWeights.set(language, new Map());
+        addTokens(text, 1, codeWeights.get(language));
+    };
+    const addHeading = (text) => {
+        // Duplicate headings get -1, -2... like ensureHeaderIds() does in the viewer
+        const id = generateHeaderId(text);
+        let anchor = id;
+        for (let counter = 1; usedAnchors.has(anchor); counter++) {
+            anchor = `${id}-${counter}`;
+        }
+        usedAnchors.add(anchor);
+        sections.push({ heading: text.trim(), anchor, text: '' });
+        addTokens(text, HEADING_TERM_WEIGHT);
+    };
+    const walk = (tokens) => tokens.forEach(token => {
+        switch (token.type) {
+            case 'heading':
+                addHeading(inlineText(token.tokens));
+                break;
+            case 'code':
+                addCode(token.text, normalizeLanguage(token.lang));
+                break;
+            case 'list':
+                token.items.forEach(item => walk(item.tokens));
+                break;
+            case 'table':
+                [token.header, ...token.rows].forEach(row => row.forEach(cell => addText(inlineText(cell.tokens))));
+                break;
+            case 'blockquote':
+                walk(token.tokens);
+                break;
+            case 'html':
+                addText(decodeEntities(token.text.replace(/<[^>]*>/g, ' ')));
+                break;
+            case 'paragraph':
+            case 'text':
+                addText(token.tokens ? inlineText(token.tokens) : decodeEntities(token.text));
+                break;
+        }
+    });
+
+    if (documentType === 'text') {
+        addText(body);
+    } else if (documentType === 'notebook') {
+        // Markdown cells and code cells; saved outputs are left out
+        const notebook = JSON.parse(body);
+        const metadata = notebook.metadata || {};
+        const language = normalizeLanguage((metadata.language_info && metadata.language_info.name) ||
+            (metadata.kernelspec && metadata.kernelspec.language) || 'python');
+        const cells = notebook.cells || (notebook.worksheets || []).flatMap(sheet => sheet.cells || []);
+        cells.forEach(cell => {
+            const source = [].concat(cell.source || cell.input || []).join('');
+            if (cell.cell_type === 'markdown') {
+                walk(marked.lexer(source));
+            } else if (cell.cell_type === 'code') {
+                addCode(source, language);
+            }
+        });
+    } else {
+        walk(marked.lexer(body));
+    }
+
+    sections.forEach(section => {
+        section.text = section.text.replace(/\s+/g, ' ').trim();
+    });
+
+    const flatten = (byTerm) => {
+        const terms = {};
+        byTerm.forEach((bySection, term) => {
+            terms[term] = Array.from(bySection).flat();
+        });
+        return terms;
+    };
+    const code = {};
+    codeWeights.forEach((byTerm, language) => {
+        code[language] = flatten(byTerm);
+    });
+    return { path, sections, terms: flatten(weights), code };
+}
+
+function createIndexField() {
+    // term -> Map(path -> [section, weight, ...]), plus the sorted terms for prefix lookups
+    return { postings: new Map(), sortedTerms: null };
+}
+
+function addToContentIndex(record) {
+    const path = record.path;
+    removeFromContentIndex(path);
+    contentIndex.docs.set(path, record);
+
+    addPostings(contentIndex.text, path, record.terms);
+    Object.entries(record.code || {}).forEach(([language, terms]) => {
+        if (!contentIndex.code.has(language)) {
+            contentIndex.code.set(language, createIndexField());
+        }
+        addPostings(contentIndex.code.get(language), path, terms);
+    });
+}
+
+function removeFromContentIndex(path) {
+    const record = contentIndex.docs.get(path);
+    if (!record) return;
+
+    removePostings(contentIndex.text, path, record.terms);
+    Object.entries(record.code || {}).forEach(([language, terms]) => {
+        const field = contentIndex.code.get(language);
+        if (!field) return;
+        removePostings(field, path, terms);
+        if (field.postings.size === 0) {
+            contentIndex.code.delete(language);
+        }
+    });
+    contentIndex.docs.delete(path);
+}
+
+function addPostings(field, path, terms) {
+    Object.entries(terms).forEach(([term, sections]) => {
+        if (!field.postings.has(term)) {
+            field.postings.set(term, new Map());
+        }
+        field.postings.get(term).set(path, sections);
+    });
+    field.sortedTerms = null;
+}
+
+function removePostings(field, path, terms) {
+    Object.keys(terms).forEach(term => {
+        const postings = field.postings.get(term);
+        if (!postings) return;
+        postings.delete(path);
+        if (postings.size === 0) {
+            field.postings.delete(term);
+        }
+    });
+    field.sortedTerms = null;
+}
+
+// Query Language
+function parseQuery(query) {
+    // Free words, "exact phrases", -exclusions and in:, tag:, lang:, title: operators. Every token
+    // becomes a clause; tokens keep their position in the query for autocomplete.
+    const tokens = [];
+    const clauses = [];
+    let position = 0;
+
+    const readWord = () => {
+        const word = /^\S*/.exec(query.slice(position))[0];
+        position += word.length;
+        return word;
+    };
+
+    while (position < query.length) {
+        if (/\s/.test(query[position])) {
+            position++;
+            continue;
+        }
+
+        const start = position;
+        const negate = query[position] === '-' && /\S/.test(query[position + 1] || '');
+        if (negate) position++;
+
+        const operator = /^(in|tag|lang|title):/i.exec(query.slice(position));
+        const kind = operator ? operator[1].toLowerCase() : null;
+        if (operator) position += operator[0].length;
+
+        let value;
+        let quoted = false;
+        if (query[position] === '"') {
+            const close = query.indexOf('"', position + 1);
+            value = query.slice(position + 1, close === -1 ? undefined : close);
+            position = close === -1 ? query.length : close + 1;
+            quoted = true;
+        } else {
+            value = readWord();
+            if (kind === 'in') {
+                // Folder names may contain spaces: keep taking words while they still lead to a folder
+                let next;
+                while ((next = /^(\s+)(\S+)/.exec(query.slice(position))) &&
+                    isScopePrefix(`${value} ${next[2]}`)) {
+                    value += ` ${next[2]}`;
+                    position += next[0].length;
+                }
+            }
+        }
+
+        tokens.push({ kind: kind || (quoted ? 'phrase' : 'word'), value, negate, quoted, start, end: position });
+        clauses.push(...createClauses(kind, value, quoted, negate));
+    }
+
+    return { tokens, clauses };
+}
+
+function createClauses(kind, value, quoted, negate) {
+    if (kind === 'in') {
+        return value.trim() ? [{ type: 'scope', value: value.trim().toLowerCase(), negate }] : [];
+    }
+    if (kind === 'tag') {
+        return value.trim() ? [{ type: 'tag', value: value.trim().toLowerCase(), negate }] : [];
+    }
+    if (kind === 'lang') {
+        return value.trim() ? [{ type: 'lang', value: normalizeLanguage(value), negate }] : [];
+    }
+
+    const field = kind === 'title' ? 'title' : 'any';
+    if (quoted) {
+        const phrase = value.toLowerCase().replace(/\s+/g, ' ').trim();
+        return tokenizeSearchText(phrase).length ? [{ type: 'phrase', phrase, field, negate }] : [];
+    }
+    return tokenizeSearchText(value).map(term => ({ type: 'term', term, field, negate }));
+}
+
+function isScopePrefix(value) {
+    const lower = value.toLowerCase();
+    return scopeNames.some(scope => scope.startsWith(lower));
+}
+
+function matchesScope(value, scopes) {
+    // Folder segments from the root; the last one may be cut short
+    const wanted = value.split('/').map(segment => segment.trim()).filter(Boolean);
+    return [scopes.folder, scopes.display].some(segments => wanted.every((segment, index) =>
+        index < wanted.length - 1 ? segments[index] === segment : (segments[index] || '').startsWith(segment)));
+}
+
+function suggestCompletions(query, tokens) {
+    // Values for the in:, tag: or lang: being typed at the end of the query, or the operators themselves
+    const last = tokens[tokens.length - 1];
+    if (!last || last.end !== query.length || last.quoted) return [];
+
+    const before = query.slice(0, last.start) + (last.negate ? '-' : '');
+    const typed = last.value.toLowerCase();
+
+    if (last.kind === 'word') {
+        if (typed.length < 2) return [];
+        return Object.keys(QUERY_OPERATORS)
+            .filter(operator => operator.startsWith(typed))
+            .map(operator => ({ kind: 'operator', label: `${operator}:`, detail: QUERY_OPERATORS[operator], query: `${before}${operator}:` }));
+    }
+    if (last.kind === 'title') return [];
+
+    const counts = new Map();
+    const count = (value) => counts.set(value, (counts.get(value) || 0) + 1);
+    if (last.kind === 'in') {
+        tutorials.forEach(tutorial => {
+            const folders = (tutorial.path || '').split('/').slice(0, -1);
+            folders.forEach((folder, index) => count(folders.slice(0, index + 1).join('/')));
+        });
+    } else if (last.kind === 'tag') {
+        tutorials.forEach(tutorial => new Set((tutorial.tags || []).map(tag => String(tag).toLowerCase())).forEach(count));
+    } else if (last.kind === 'lang') {
+        contentIndex.docs.forEach(record => Object.keys(record.code || {}).forEach(count));
+    }
+
+    const rank = (value) => value.toLowerCase().startsWith(typed) ? 0 : 1;
+    return Array.from(counts)
+        .filter(([value]) => value.toLowerCase().includes(typed) && value.toLowerCase() !== typed)
+        .sort((a, b) => rank(a[0]) - rank(b[0]) || b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(([value, total]) => ({
+            kind: last.kind,
+            label: `${last.kind}:${value}`,
+            detail: `${total} ${last.kind === 'lang' ? 'document' : 'tutorial'}${total === 1 ? '' : 's'}`,
+            // in: takes spaces as they are, tags with spaces need quotes
+            query: `${before}${last.kind}:${last.kind !== 'in' && /\s/.test(value) ? `"${value}"` : value} `
+        }));
+}
+
+// Searching
+function rankTutorials(clauses) {
+    // Every clause must hold: words and phrases match the title, path, tags, summary or body
+    // (words exactly or with a typo or two), filters narrow the candidates and negated clauses
+    // rule tutorials out. Title matches outrank path, tag and summary matches, which outrank body matches.
+    const positive = clauses.filter(clause => !clause.negate);
+    const negative = clauses.filter(clause => clause.negate);
+    const searches = positive.filter(clause => clause.type === 'term' || clause.type === 'phrase');
+    if (positive.length === 0) return [];
+
+    // lang: restricts free words to the code blocks of those languages
+    const languages = positive.filter(clause => clause.type === 'lang').map(clause => clause.value);
+    const fields = languages.length
+        ? languages.map(language => contentIndex.code.get(language)).filter(Boolean)
+        : [contentIndex.text];
+
+    const contentMatches = new Map();
+    const phraseMatches = new Map();
+    clauses.forEach(clause => {
+        if (clause.type === 'term' && clause.field === 'any') {
+            contentMatches.set(clause, clause.negate
+                ? lookupContentTerm(clause.term, [contentIndex.text], false)
+                : lookupContentTerm(clause.term, fields));
+        } else if (clause.type === 'phrase' && clause.field === 'any') {
+            phraseMatches.set(clause, lookupPhrase(clause.phrase));
+        }
+    });
+
+    const results = [];
+    tutorials.forEach((tutorial, position) => {
+        const words = tutorialWords[position];
+        const record = contentIndex.docs.get(tutorial.fullPath);
+        const name = (tutorial.name || '').toLowerCase();
+        const metaText = [tutorial.displayPath, ...(tutorial.tags || []), tutorial.summary || ''].join(' ').toLowerCase();
+
+        const holds = (clause) => {
+            switch (clause.type) {
+                case 'scope':
+                    return matchesScope(clause.value, tutorialScopes[position]);
+                case 'tag':
+                    return (tutorial.tags || []).some(tag => String(tag).toLowerCase() === clause.value);
+                case 'lang':
+                    return !!(record && record.code && record.code[clause.value]);
+                case 'term':
+                    return !!(matchField(clause.term, words.name, false) ||
+                        (clause.field === 'any' && (matchField(clause.term, words.path, false) ||
+                            matchField(clause.term, words.other, false) ||
+                            contentMatches.get(clause).has(tutorial.fullPath))));
+                case 'phrase':
+                    return name.includes(clause.phrase) ||
+                        (clause.field === 'any' && (metaText.includes(clause.phrase) || phraseMatches.get(clause).has(tutorial.fullPath)));
+            }
+            return false;
+        };
+        if (!positive.every(clause => clause.type === 'term' || clause.type === 'phrase' || holds(clause))) return;
+        if (negative.some(holds)) return;
+
+        const highlights = { name: [], path: [] };
+        const sectionScores = new Map();
+        const matchedWords = new Map(); // Indexed word -> query term it matched
+        const phrases = [];
+        let score = 0;
+
+        const matchesAll = searches.every(clause => {
+            if (clause.type === 'phrase') {
+                const inName = findPhrase(clause.phrase, tutorial.name || '');
+                const inPath = findPhrase(clause.phrase, tutorial.displayPath || '');
+                const sections = clause.field === 'any' ? phraseMatches.get(clause).get(tutorial.fullPath) : null;
+                const inMeta = clause.field === 'any' && metaText.includes(clause.phrase);
+                if (!inName.length && !inMeta && !sections) return false;
+
+                score += inName.length ? 100 : inMeta ? 40 : 0;
+                highlights.name.push(...inName);
+                highlights.path.push(...inPath);
+                if (sections) {
+                    score += 19;
+                    sections.forEach(section => sectionScores.set(section, (sectionScores.get(section) || 0) + 10));
+                    phrases.push(clause.phrase);
+                }
+                return true;
+            }
+
+            const inName = matchField(clause.term, words.name);
+            if (clause.field === 'title') {
+                if (!inName) return false;
+                score += 60 + 40 * inName.quality;
+                highlights.name.push(...inName.ranges);
+                return true;
+            }
+
+            // With lang: only code counts, so the title and metadata are left out
+            const inPath = languages.length ? null : matchField(clause.term, words.path);
+            const inOther = languages.length ? null : matchField(clause.term, words.other);
+            const titleMatch = languages.length ? null : inName;
+            const content = contentMatches.get(clause).get(tutorial.fullPath);
+            if (!titleMatch && !inPath && !inOther && !content) return false;
+
+            if (titleMatch) {
+                score += 60 + 40 * titleMatch.quality;
+                highlights.name.push(...titleMatch.ranges);
+            } else if (inPath || inOther) {
+                score += 20 + 20 * Math.max(inPath ? inPath.quality : 0, inOther ? inOther.quality : 0);
+            }
+            if (inPath) {
+                highlights.path.push(...inPath.ranges);
+            }
+            if (content) {
+                // Saturates below 20 so body text never outweighs a metadata match
+                score += 20 * content.score / (content.score + 5);
+                content.sections.forEach((value, section) => {
+                    sectionScores.set(section, (sectionScores.get(section) || 0) + value);
+                });
+                content.words.forEach(word => matchedWords.set(word, clause.term));
+            }
+            return true;
+        });
+        if (!matchesAll) return;
+
+        results.push({
+            tutorial,
+            category: getCategory(tutorial),
+            score,
+            highlights: { name: mergeRanges(highlights.name), path: mergeRanges(highlights.path) },
+            words: [...matchedWords.keys(), ...phrases.flatMap(phrase => tokenizeSearchText(phrase))],
+            // Snippets are only worked out for the page that is sent back
+            context: { sectionScores, matchedWords, phrases }
+        });
+    });
+
+    return results.sort((a, b) => b.score - a.score || (a.tutorial.name || '').localeCompare(b.tutorial.name || ''));
+}
+
+function lookupContentTerm(term, fields, fuzzy = true) {
+    // path -> { score, sections: Map(section -> score), words: Set } for the term, more weakly for
+    // words it starts and, when the term itself is not indexed, for words within its typo budget
+    const matches = new Map();
+    const documentCount = Math.max(contentIndex.docs.size, 1);
+
+    fields.forEach(field => {
+        if (!field.sortedTerms) {
+            field.sortedTerms = Array.from(field.postings.keys()).sort();
+        }
+        const sortedTerms = field.sortedTerms;
+        const candidates = [];
+
+        // Binary search the first term with this prefix
+        let low = 0;
+        let high = sortedTerms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sortedTerms[middle] < term) low = middle + 1; else high = middle;
+        }
+        for (let i = low; i < sortedTerms.length && i - low < MAX_PREFIX_EXPANSIONS; i++) {
+            if (!sortedTerms[i].startsWith(term)) break;
+            candidates.push({ word: sortedTerms[i], boost: sortedTerms[i] === term ? 1 : 0.5 });
+        }
+
+        const limit = maxEditDistance(term);
+        if (fuzzy && limit && !field.postings.has(term)) {
+            for (let i = 0; i < sortedTerms.length && candidates.length < MAX_PREFIX_EXPANSIONS + MAX_FUZZY_EXPANSIONS; i++) {
+                const candidate = sortedTerms[i];
+                if (candidate.startsWith(term)) continue;
+                const distance = editDistance(term, candidate, limit);
+                if (distance <= limit) {
+                    candidates.push({ word: candidate, boost: 0.4 / distance });
+                }
+            }
+        }
+
+        candidates.forEach(({ word, boost }) => {
+            const postings = field.postings.get(word);
+            const idf = Math.log(1 + documentCount / postings.size);
+
+            postings.forEach((sections, path) => {
+                if (!matches.has(path)) matches.set(path, { score: 0, sections: new Map(), words: new Set() });
+                const match = matches.get(path);
+                match.words.add(word);
+                for (let j = 0; j < sections.length; j += 2) {
+                    // Dampen long documents repeating a word many times
+                    const value = boost * idf * Math.sqrt(sections[j + 1]);
+                    match.score += value;
+                    match.sections.set(sections[j], (match.sections.get(sections[j]) || 0) + value);
+                }
+            });
+        });
+    });
+    return matches;
+}
+
+function lookupPhrase(phrase) {
+    // path -> sections containing the phrase; the index narrows the documents worth reading
+    const terms = tokenizeSearchText(phrase);
+    let candidates = null;
+    terms.forEach(term => {
+        const paths = new Set(lookupContentTerm(term, [contentIndex.text], false).keys());
+        candidates = candidates ? new Set([...candidates].filter(path => paths.has(path))) : paths;
+    });
+
+    const matches = new Map();
+    (candidates || []).forEach(path => {
+        const sections = [];
+        contentIndex.docs.get(path).sections.forEach((section, index) => {
+            if (`${section.heading} ${section.text}`.toLowerCase().includes(phrase)) {
+                sections.push(index);
+            }
+        });
+        if (sections.length) matches.set(path, sections);
+    });
+    return matches;
+}
+
+function getContentMatches(path, context, count) {
+    // The best-scoring sections, each with a snippet around its first matched word or phrase
+    const record = contentIndex.docs.get(path);
+    if (!record || context.sectionScores.size === 0) return [];
+
+    return Array.from(context.sectionScores)
+        .sort((a, b) => b[1] - a[1])
+        .map(([index]) => record.sections[index])
+        .filter(Boolean)
+        .map(section => createSnippet(section, context.matchedWords, context.phrases))
+        .filter((match, index) => index === 0 || match.snippet)
+        .slice(0, count);
+}
+
+function createSnippet(section, matchedWords, phrases) {
+    const lower = section.text.toLowerCase();
+    const position = [...phrases, ...matchedWords.keys()]
+        .map(word => lower.indexOf(word))
+        .filter(index => index !== -1)
+        .sort((a, b) => a - b)[0];
+    let snippet = '';
+    if (position !== undefined) {
+        const start = Math.max(0, section.text.lastIndexOf(' ', Math.max(0, position - 60)) + 1);
+        const end = section.text.indexOf(' ', Math.min(section.text.length, position + 120));
+        snippet = (start > 0 ? '…' : '') +
+            section.text.slice(start, end === -1 ? undefined : end) +
+            (end !== -1 ? '…' : '');
+    }
+
+    const snippetRanges = phrases.flatMap(phrase => findPhrase(phrase, snippet));
+    findWords(snippet).forEach(word => {
+        if (!matchedWords.has(word.text)) return;
+        const match = matchWord(matchedWords.get(word.text), word.text);
+        if (!match) return;
+        match.ranges.forEach(([start, end]) => snippetRanges.push([word.start + start, word.start + end]));
+    });
+
+    return { heading: section.heading, anchor: section.anchor, snippet, snippetRanges: mergeRanges(snippetRanges) };
+}
+
+// Fuzzy Matching
+function maxEditDistance(term) {
+    return term.length < FUZZY_MIN_LENGTH ? 0 : term.length < 8 ? 1 : 2;
+}
+
+function findPhrase(phrase, text) {
+    // [start, end) ranges of a lowercased phrase in a text
+    const ranges = [];
+    const lower = text.toLowerCase();
+    for (let index = lower.indexOf(phrase); index !== -1; index = lower.indexOf(phrase, index + phrase.length)) {
+        ranges.push([index, index + phrase.length]);
+    }
+    return ranges;
+}
+
+function findWords(text) {
+    // Lowercased words of a text with their offsets, split like tokenizeSearchText()
+    const words = [];
+    const pattern = /[\p{L}\p{N}_]+/gu;
+    const lower = text.toLowerCase();
+    let match;
+    while ((match = pattern.exec(lower))) {
+        words.push({ text: match[0], start: match.index });
+    }
+    return words;
+}
+
+function matchField(term, words, fuzzy = true) {
+    // Best match quality of a term among a field's words, and the characters it matched in all of them
+    let quality = 0;
+    const ranges = [];
+    words.forEach(word => {
+        const match = matchWord(term, word.text, fuzzy);
+        if (!match) return;
+        quality = Math.max(quality, match.quality);
+        match.ranges.forEach(([start, end]) => ranges.push([word.start + start, word.start + end]));
+    });
+    return quality ? { quality, ranges } : null;
+}
+
+function matchWord(term, word, fuzzy = true) {
+    // Quality 0..1 of a term matching one word, plus the word's matched character ranges
+    if (word === term) return { quality: 1, ranges: [[0, word.length]] };
+    if (word.startsWith(term)) return { quality: 0.8, ranges: [[0, term.length]] };
+
+    const index = word.indexOf(term);
+    if (index !== -1) return { quality: 0.6, ranges: [[index, index + term.length]] };
+
+    const limit = maxEditDistance(term);
+    if (!fuzzy || !limit || editDistance(term, word, limit) > limit) return null;
+    const alignment = alignWord(term, word);
+    return { quality: 0.5 - 0.1 * alignment.distance, ranges: alignment.ranges };
+}
+
+function editDistance(a, b, limit) {
+    // Optimal string alignment distance: insertions, deletions, substitutions and swapped
+    // neighbours cost one edit each. Anything beyond limit is reported as limit + 1.
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (previous && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previous[j - 2] + 1);
+            }
+            next.push(value);
+            best = Math.min(best, value);
+        }
+        if (best > limit) return limit + 1;
+        previous = row;
+        row = next;
+    }
+    return Math.min(row[b.length], limit + 1);
+}
+
+function alignWord(term, word) {
+    // Full distance table, walked back to find which characters of the word the term matched
+    const table = [Array.from({ length: word.length + 1 }, (_, j) => j)];
+    for (let i = 1; i <= term.length; i++) {
+        table.push([i]);
+        for (let j = 1; j <= word.length; j++) {
+            let value = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1,
+                table[i - 1][j - 1] + (term[i - 1] === word[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && term[i - 1] === word[j - 2] && term[i - 2] === word[j - 1]) {
+                value = Math.min(value, table[i - 2][j - 2] + 1);
+            }
+            table[i].push(value);
+        }
+    }
+
+    const matched = [];
+    let i = term.length;
+    let j = word.length;
+    while (i > 0 && j > 0) {
+        if (term[i - 1] === word[j - 1] && table[i][j] === table[i - 1][j - 1]) {
+            matched.push(j - 1);
+            i--;
+            j--;
+        } else if (i > 1 && j > 1 && term[i - 1] === word[j - 2] && term[i - 2] === word[j - 1] && table[i][j] === table[i - 2][j - 2] + 1) {
+            matched.push(j - 1, j - 2);
+            i -= 2;
+            j -= 2;
+        } else if (table[i][j] === table[i - 1][j - 1] + 1) {
+            i--;
+            j--;
+        } else if (table[i][j] === table[i - 1][j] + 1) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+
+    return {
+        distance: table[term.length][word.length],
+        ranges: mergeRanges(matched.map(index => [index, index + 1]))
+    };
+}
+
+function mergeRanges(ranges) {
+    // Sorted, non-overlapping [start, end) ranges; touching ones become one
+    const merged = [];
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Writes resources/tutorials-manifest.json: the tutorial tree with titles and front matter,
+// for browser, cloud and chrome modes where the app cannot read the library from disk.
+//
+// The tree comes from the app's own scanner (MarkdownBuddy.scanTutorialsDirectory), run here
+// against Node's filesystem, so .buddyignore, _order.json and front matter behave exactly
+// like in the desktop window.
+//
+// Usage: npm run manifest
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const LIBRARY_PATH = 'resources/tutorials';
+const MANIFEST_PATH = path.join(ROOT, 'resources', 'tutorials-manifest.json');
+const MANIFEST_VERSION = 1;
+
+// The slice of Neutralino.filesystem the scanner uses; paths are relative to the project root
+const filesystem = {
+    readDirectory: async (dirPath) => fs.readdirSync(path.join(ROOT, dirPath), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(entry => ({
+            entry: entry.name,
+            path: `${dirPath}/${entry.name}`,
+            type: entry.isDirectory() ? 'DIRECTORY' : 'FILE'
+        })),
+    readFile: async (filePath, options) => {
+        const data = fs.readFileSync(path.join(ROOT, filePath));
+        return (options ? data.subarray(options.pos, options.pos + options.size) : data).toString('utf8');
+    }
+};
+
+function loadMarkdownBuddy() {
+    // main.js is a browser script; it only needs listener stubs to load
+    const noop = () => {};
+    const context = vm.createContext({
+        console: { log: noop, warn: console.warn, error: console.error },
+        document: { addEventListener: noop },
+        window: { addEventListener: noop },
+        setTimeout,
+        clearTimeout,
+        Neutralino: { filesystem }
+    });
+    const source = fs.readFileSync(path.join(ROOT, 'resources', 'js', 'main.js'), 'utf8');
+    return vm.runInContext(`${source}\n;MarkdownBuddy`, context, { filename: 'main.js' });
+}
+
+function countFiles(structure) {
+    return Object.values(structure).reduce((count, item) =>
+        count + (item.type === 'folder' ? countFiles(item.children) : 1), 0);
+}
+
+async function main() {
+    const MarkdownBuddy = loadMarkdownBuddy();
+
+    // Only the scanning methods run, so skip the constructor and its UI setup
+    const scanner = Object.create(MarkdownBuddy.prototype);
+    scanner.ignoreRules = new Map();
+    const tree = await scanner.scanTutorialsDirectory(LIBRARY_PATH);
+
+    const manifest = { version: MANIFEST_VERSION, root: LIBRARY_PATH, tree };
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`Wrote ${path.relative(ROOT, MANIFEST_PATH)} with ${countFiles(tree)} documents`);
+}
+
+main().catch(error => {
+    console.error('Failed to generate the tutorials manifest:', error);
+    process.exit(1);
+});